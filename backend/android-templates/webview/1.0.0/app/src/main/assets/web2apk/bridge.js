@@ -0,0 +1,65 @@
+// window.Web2APK - promise based API over the Web2APKNative message channel,
+// which MainActivity only adds to pages of the bridge origins.
+// Typings: GET /api/bridge/1.0.0/web2apk.d.ts
+(function() {
+  if (!window.Web2APKNative || window.Web2APK) {
+    return;
+  }
+
+  var native = window.Web2APKNative;
+  var nextId = 1;
+  var pending = {};
+
+  native.addEventListener('message', function(event) {
+    var reply;
+    try {
+      reply = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    var call = pending[reply.id];
+    if (!call) {
+      return;
+    }
+    delete pending[reply.id];
+
+    if (reply.error) {
+      call.reject(new Error(reply.error));
+    } else {
+      call.resolve(reply.result);
+    }
+  });
+
+  function call(method, args) {
+    return new Promise(function(resolve, reject) {
+      var id = nextId++;
+      pending[id] = { resolve: resolve, reject: reject };
+      native.postMessage(JSON.stringify({ id: id, method: method, args: args || {} }));
+    });
+  }
+
+  window.Web2APK = Object.freeze({
+    version: '1.0.0',
+    getCapabilities: function() {
+      return call('getCapabilities');
+    },
+    share: function(data) {
+      return call('share', data);
+    },
+    vibrate: function(pattern) {
+      return call('vibrate', { pattern: pattern });
+    },
+    toast: function(message, duration) {
+      return call('toast', { message: String(message), duration: duration });
+    },
+    copyToClipboard: function(text) {
+      return call('copyToClipboard', { text: String(text) });
+    },
+    getAppInfo: function() {
+      return call('getAppInfo');
+    }
+  });
+
+  window.dispatchEvent(new Event('web2apkready'));
+})();
@@ -0,0 +1,834 @@
+package com.web2apk.template
+
+import android.Manifest
+import android.annotation.SuppressLint
+import android.app.DownloadManager
+import android.content.ActivityNotFoundException
+import android.content.Context
+import android.content.Intent
+import android.content.pm.PackageManager
+import android.graphics.Bitmap
+import android.net.Uri
+import android.content.ClipData
+import android.content.ClipboardManager
+import android.os.Build
+import android.os.Bundle
+import android.os.Environment
+import android.os.SystemClock
+import android.os.VibrationEffect
+import android.os.Vibrator
+import android.os.VibratorManager
+import android.view.View
+import android.webkit.*
+import android.widget.ProgressBar
+import android.widget.Toast
+import androidx.appcompat.app.AppCompatActivity
+import androidx.browser.customtabs.CustomTabsIntent
+import androidx.core.app.ActivityCompat
+import androidx.core.content.ContextCompat
+import androidx.core.content.pm.PackageInfoCompat
+import androidx.core.splashscreen.SplashScreen.Companion.installSplashScreen
+import androidx.swiperefreshlayout.widget.SwipeRefreshLayout
+import androidx.webkit.JavaScriptReplyProxy
+import androidx.webkit.WebViewAssetLoader
+import androidx.webkit.WebViewCompat
+import androidx.webkit.WebViewFeature
+import org.json.JSONArray
+import org.json.JSONObject
+
+class MainActivity : AppCompatActivity() {
+
+    // Configuration - rendered from the build's app config and features
+    private val WEBSITE_URL = "{{kotlinString:WEBSITE_URL}}"
+    private val ENABLE_PULL_TO_REFRESH = {{bool:ENABLE_PULL_TO_REFRESH}}
+    private val ENABLE_PROGRESS_BAR = {{bool:ENABLE_PROGRESS_BAR}}
+    private val ENABLE_ERROR_PAGE = {{bool:ENABLE_ERROR_PAGE}}
+    private val ENABLE_FILE_UPLOAD = {{bool:ENABLE_FILE_UPLOAD}}
+    private val ENABLE_DEEP_LINKING = {{bool:ENABLE_DEEP_LINKING}}
+    private val ENABLE_GEOLOCATION = {{bool:ENABLE_GEOLOCATION}}
+    private val ENABLE_CAMERA = {{bool:ENABLE_CAMERA}}
+    private val ENABLE_MICROPHONE = {{bool:ENABLE_MICROPHONE}}
+
+    // WebView profile
+    private val USER_AGENT_SUFFIX = "{{kotlinString:USER_AGENT_SUFFIX}}"
+    private val CACHE_MODE = {{raw:CACHE_MODE}}
+    private val ENABLE_ZOOM = {{bool:ENABLE_ZOOM}}
+    private val TEXT_ZOOM = {{int:TEXT_ZOOM}}
+    private val MIXED_CONTENT_MODE = {{raw:MIXED_CONTENT_MODE}}
+    private val ALLOW_FILE_ACCESS = {{bool:ALLOW_FILE_ACCESS}}
+    private val ACCEPT_THIRD_PARTY_COOKIES = {{bool:ACCEPT_THIRD_PARTY_COOKIES}}
+    private val ENABLE_DOM_STORAGE = {{bool:ENABLE_DOM_STORAGE}}
+
+    // Only pages from these origins may use location, camera and microphone
+    private val TRUSTED_ORIGINS = "{{kotlinString:TRUSTED_ORIGINS}}".split(",").toSet()
+
+    // Native bridge (window.Web2APK): capabilities the build enabled and the
+    // only origins the bridge is exposed to
+    private val BRIDGE_SHARE = {{bool:BRIDGE_SHARE}}
+    private val BRIDGE_VIBRATE = {{bool:BRIDGE_VIBRATE}}
+    private val BRIDGE_TOAST = {{bool:BRIDGE_TOAST}}
+    private val BRIDGE_CLIPBOARD = {{bool:BRIDGE_CLIPBOARD}}
+    private val BRIDGE_APP_INFO = {{bool:BRIDGE_APP_INFO}}
+    private val BRIDGE_ORIGINS = "{{kotlinString:BRIDGE_ORIGINS}}".split(",").toSet()
+
+    // Where links open, first matching rule wins. Hosts: inApp, browser or
+    // customTab; schemes (incl. intent://): externalApp or block
+    private data class LinkRule(val type: String, val pattern: String, val action: String)
+    private val LINK_RULES = listOf<LinkRule>({{raw:LINK_RULES}}
+    )
+    // Action for http(s) links to hosts that are neither the app's own nor in a rule
+    private val OTHER_HOSTS_ACTION = "{{kotlinString:OTHER_HOSTS_ACTION}}"
+    private val SPLASH_MIN_DURATION_MS = {{int:SPLASH_MIN_DURATION_MS}}L
+    private val SPLASH_WAIT_FOR_PAGE_LOAD = {{bool:SPLASH_WAIT_FOR_PAGE_LOAD}}
+
+    // Never keep the splash screen up longer than this, even if the page hangs
+    private val SPLASH_MAX_DURATION_MS = 10000L
+
+    private lateinit var webView: WebView
+    private lateinit var swipeRefresh: SwipeRefreshLayout
+    private lateinit var progressBar: ProgressBar
+    
+    private var fileUploadCallback: ValueCallback<Array<Uri>>? = null
+    private val FILE_CHOOSER_REQUEST_CODE = 1
+
+    // WebView permission requests waiting for the user to answer the Android permission dialog
+    private var pendingPermissionRequest: PermissionRequest? = null
+    private var pendingGeolocationOrigin: String? = null
+    private var pendingGeolocationCallback: GeolocationPermissions.Callback? = null
+    private val WEB_PERMISSION_REQUEST_CODE = 2
+    private val GEOLOCATION_PERMISSION_REQUEST_CODE = 3
+
+    private var firstPageLoaded = false
+
+    // User CSS/JS from the build (assets/injected), see configureInjections()
+    private var documentStartScript: String? = null
+    private var pageFinishedScript: String? = null
+
+    // Bridge API shim (assets/web2apk/bridge.js) when it can't be added as a document start script
+    private val BRIDGE_VERSION = "1.0.0"
+    private var bridgeScript: String? = null
+
+    // Serves a bundled offline site (assets/site) from
+    // https://appassets.androidplatform.net/assets/ instead of file://
+    private val assetLoader by lazy {
+        WebViewAssetLoader.Builder()
+            .addPathHandler("/assets/", WebViewAssetLoader.AssetsPathHandler(this))
+            .build()
+    }
+
+    @SuppressLint("SetJavaScriptEnabled")
+    override fun onCreate(savedInstanceState: Bundle?) {
+        val splashScreen = installSplashScreen()
+        super.onCreate(savedInstanceState)
+
+        // Keep the splash screen for the minimum duration and, if configured,
+        // until the first page has loaded
+        val splashStart = SystemClock.uptimeMillis()
+        splashScreen.setKeepOnScreenCondition {
+            val elapsed = SystemClock.uptimeMillis() - splashStart
+            when {
+                elapsed >= SPLASH_MAX_DURATION_MS -> false
+                elapsed < SPLASH_MIN_DURATION_MS -> true
+                else -> SPLASH_WAIT_FOR_PAGE_LOAD && !firstPageLoaded
+            }
+        }
+
+        setContentView(R.layout.activity_main)
+
+        // Initialize views
+        webView = findViewById(R.id.webView)
+        swipeRefresh = findViewById(R.id.swipeRefresh)
+        progressBar = findViewById(R.id.progressBar)
+
+        // Configure SwipeRefreshLayout
+        if (ENABLE_PULL_TO_REFRESH) {
+            swipeRefresh.setOnRefreshListener {
+                webView.reload()
+            }
+            swipeRefresh.setColorSchemeResources(
+                android.R.color.holo_blue_bright,
+                android.R.color.holo_green_light,
+                android.R.color.holo_orange_light,
+                android.R.color.holo_red_light
+            )
+        } else {
+            swipeRefresh.isEnabled = false
+        }
+
+        // Configure ProgressBar
+        if (!ENABLE_PROGRESS_BAR) {
+            progressBar.visibility = View.GONE
+        }
+
+        // Configure WebView
+        configureWebView()
+
+        // Load URL
+        val url = if (ENABLE_DEEP_LINKING && intent.data != null) {
+            resolveDeepLink(intent.data!!)
+        } else {
+            WEBSITE_URL
+        }
+        
+        webView.loadUrl(url)
+
+{{raw:WATERMARK}}
+    }
+
+    @SuppressLint("SetJavaScriptEnabled")
+    private fun configureWebView() {
+        webView.settings.apply {
+            javaScriptEnabled = true
+            domStorageEnabled = ENABLE_DOM_STORAGE
+            databaseEnabled = ENABLE_DOM_STORAGE
+            // Pinch to zoom, without the on-screen zoom buttons
+            setSupportZoom(ENABLE_ZOOM)
+            builtInZoomControls = ENABLE_ZOOM
+            displayZoomControls = false
+            textZoom = TEXT_ZOOM
+            loadWithOverviewMode = true
+            useWideViewPort = true
+            javaScriptCanOpenWindowsAutomatically = true
+            mediaPlaybackRequiresUserGesture = false
+            // Bundled sites are served over https by assetLoader and file
+            // uploads go through the chooser, neither needs this
+            allowFileAccess = ALLOW_FILE_ACCESS
+            allowContentAccess = ALLOW_FILE_ACCESS
+
+            if (USER_AGENT_SUFFIX.isNotEmpty()) {
+                userAgentString = "$userAgentString $USER_AGENT_SUFFIX"
+            }
+            
+            // Enable geolocation if feature is enabled
+            setGeolocationEnabled(ENABLE_GEOLOCATION)
+            
+            // Cache settings
+            cacheMode = CACHE_MODE
+            
+            // Mixed content
+            mixedContentMode = MIXED_CONTENT_MODE
+        }
+
+        CookieManager.getInstance().setAcceptThirdPartyCookies(webView, ACCEPT_THIRD_PARTY_COOKIES)
+
+        // The bridge goes first so injected scripts can use window.Web2APK
+        configureBridge()
+        configureInjections()
+
+        // Set WebViewClient
+        webView.webViewClient = object : WebViewClient() {
+
+            override fun shouldInterceptRequest(
+                view: WebView?,
+                request: WebResourceRequest
+            ): WebResourceResponse? {
+                return assetLoader.shouldInterceptRequest(request.url)
+            }
+            
+            override fun shouldOverrideUrlLoading(view: WebView?, request: WebResourceRequest?): Boolean {
+                val uri = request?.url ?: return false
+
+                // Frames embedded in a page (videos, maps) load where they are
+                val isWeb = uri.scheme == "http" || uri.scheme == "https"
+                if (isWeb && request?.isForMainFrame == false) {
+                    return false
+                }
+
+                return openLink(uri)
+            }
+
+            override fun onPageStarted(view: WebView?, url: String?, favicon: Bitmap?) {
+                super.onPageStarted(view, url, favicon)
+                // Without document start script support, inject as early as possible instead
+                if (bridgeScript != null && url != null && originOf(Uri.parse(url)) in BRIDGE_ORIGINS) {
+                    view?.evaluateJavascript(bridgeScript!!, null)
+                }
+                documentStartScript?.let { view?.evaluateJavascript(it, null) }
+                if (ENABLE_PROGRESS_BAR) {
+                    progressBar.visibility = View.VISIBLE
+                }
+            }
+
+            override fun onPageFinished(view: WebView?, url: String?) {
+                super.onPageFinished(view, url)
+                firstPageLoaded = true
+                pageFinishedScript?.let { view?.evaluateJavascript(it, null) }
+                if (ENABLE_PROGRESS_BAR) {
+                    progressBar.visibility = View.GONE
+                }
+                swipeRefresh.isRefreshing = false
+            }
+
+            override fun onReceivedError(
+                view: WebView?,
+                request: WebResourceRequest?,
+                error: WebResourceError?
+            ) {
+                super.onReceivedError(view, request, error)
+                
+                if (request?.isForMainFrame == true) {
+                    firstPageLoaded = true
+
+                    if (ENABLE_ERROR_PAGE) {
+                        showErrorPage()
+                    }
+                }
+            }
+        }
+
+        // Set WebChromeClient for file uploads, geolocation, camera and microphone
+        webView.webChromeClient = object : WebChromeClient() {
+            
+            override fun onProgressChanged(view: WebView?, newProgress: Int) {
+                super.onProgressChanged(view, newProgress)
+                if (ENABLE_PROGRESS_BAR) {
+                    progressBar.progress = newProgress
+                    progressBar.visibility = if (newProgress == 100) View.GONE else View.VISIBLE
+                }
+            }
+
+            // File upload support
+            override fun onShowFileChooser(
+                webView: WebView?,
+                filePathCallback: ValueCallback<Array<Uri>>?,
+                fileChooserParams: FileChooserParams?
+            ): Boolean {
+                if (!ENABLE_FILE_UPLOAD) {
+                    return false
+                }
+
+                fileUploadCallback?.onReceiveValue(null)
+                fileUploadCallback = filePathCallback
+
+                val intent = fileChooserParams?.createIntent()
+                if (intent != null) {
+                    try {
+                        startActivityForResult(intent, FILE_CHOOSER_REQUEST_CODE)
+                    } catch (e: Exception) {
+                        fileUploadCallback = null
+                        return false
+                    }
+                }
+                return true
+            }
+
+            // Geolocation support - only for the app's own origins, after the user allowed location access
+            override fun onGeolocationPermissionsShowPrompt(
+                origin: String?,
+                callback: GeolocationPermissions.Callback?
+            ) {
+                if (!ENABLE_GEOLOCATION || !isTrustedOrigin(origin)) {
+                    callback?.invoke(origin, false, false)
+                    return
+                }
+
+                if (hasLocationPermission()) {
+                    callback?.invoke(origin, true, false)
+                    return
+                }
+
+                pendingGeolocationCallback?.invoke(pendingGeolocationOrigin, false, false)
+                pendingGeolocationOrigin = origin
+                pendingGeolocationCallback = callback
+                ActivityCompat.requestPermissions(
+                    this@MainActivity,
+                    arrayOf(Manifest.permission.ACCESS_FINE_LOCATION, Manifest.permission.ACCESS_COARSE_LOCATION),
+                    GEOLOCATION_PERMISSION_REQUEST_CODE
+                )
+            }
+
+            override fun onGeolocationPermissionsHidePrompt() {
+                pendingGeolocationOrigin = null
+                pendingGeolocationCallback = null
+            }
+
+            // Camera and microphone (getUserMedia) - same rules as geolocation
+            override fun onPermissionRequest(request: PermissionRequest) {
+                val resources = allowedResources(request)
+                if (!isTrustedOrigin(request.origin.toString()) || resources.isEmpty()) {
+                    request.deny()
+                    return
+                }
+
+                val missing = resources.mapNotNull { androidPermissionFor(it) }.filter { !hasPermission(it) }
+                if (missing.isEmpty()) {
+                    request.grant(resources.toTypedArray())
+                    return
+                }
+
+                pendingPermissionRequest?.deny()
+                pendingPermissionRequest = request
+                ActivityCompat.requestPermissions(this@MainActivity, missing.toTypedArray(), WEB_PERMISSION_REQUEST_CODE)
+            }
+
+            override fun onPermissionRequestCanceled(request: PermissionRequest?) {
+                if (pendingPermissionRequest == request) {
+                    pendingPermissionRequest = null
+                }
+            }
+
+            // Console messages for debugging
+            override fun onConsoleMessage(consoleMessage: ConsoleMessage?): Boolean {
+                consoleMessage?.let {
+                    android.util.Log.d("WebView", "${it.message()} -- From line ${it.lineNumber()} of ${it.sourceId()}")
+                }
+                return true
+            }
+        }
+
+        // Download listener
+        webView.setDownloadListener { url, userAgent, contentDisposition, mimeType, contentLength ->
+            val request = DownloadManager.Request(Uri.parse(url))
+            request.setMimeType(mimeType)
+            request.addRequestHeader("User-Agent", userAgent)
+            request.setDescription("Downloading file...")
+            request.setTitle(URLUtil.guessFileName(url, contentDisposition, mimeType))
+            request.allowScanningByMediaScanner()
+            request.setNotificationVisibility(DownloadManager.Request.VISIBILITY_VISIBLE_NOTIFY_COMPLETED)
+            request.setDestinationInExternalPublicDir(Environment.DIRECTORY_DOWNLOADS, 
+                URLUtil.guessFileName(url, contentDisposition, mimeType))
+            
+            val dm = getSystemService(Context.DOWNLOAD_SERVICE) as DownloadManager
+            dm.enqueue(request)
+        }
+    }
+
+    /**
+     * Load the build's injected CSS/JS. The scripts check the page origin and
+     * URL patterns themselves.
+     */
+    private fun configureInjections() {
+        pageFinishedScript = readAsset("injected/page_finished.js")
+
+        val documentStart = readAsset("injected/document_start.js") ?: return
+        if (WebViewFeature.isFeatureSupported(WebViewFeature.DOCUMENT_START_SCRIPT)) {
+            WebViewCompat.addDocumentStartJavaScript(webView, documentStart, TRUSTED_ORIGINS)
+        } else {
+            documentStartScript = documentStart
+        }
+    }
+
+    private fun bridgeCapabilities(): List<String> {
+        return listOf(
+            "share" to BRIDGE_SHARE,
+            "vibrate" to BRIDGE_VIBRATE,
+            "toast" to BRIDGE_TOAST,
+            "clipboard" to BRIDGE_CLIPBOARD,
+            "appInfo" to BRIDGE_APP_INFO
+        ).filter { it.second }.map { it.first }
+    }
+
+    private fun configureBridge() {
+        if (bridgeCapabilities().isEmpty() || !WebViewFeature.isFeatureSupported(WebViewFeature.WEB_MESSAGE_LISTENER)) {
+            return
+        }
+
+        // Pages of other origins never see Web2APKNative, so they can't call the bridge
+        WebViewCompat.addWebMessageListener(webView, "Web2APKNative", BRIDGE_ORIGINS) { _, message, _, isMainFrame, replyProxy ->
+            if (isMainFrame) {
+                handleBridgeMessage(message.data, replyProxy)
+            }
+        }
+
+        val shim = readAsset("web2apk/bridge.js") ?: return
+        if (WebViewFeature.isFeatureSupported(WebViewFeature.DOCUMENT_START_SCRIPT)) {
+            WebViewCompat.addDocumentStartJavaScript(webView, shim, BRIDGE_ORIGINS)
+        } else {
+            bridgeScript = shim
+        }
+    }
+
+    // Messages are {"id", "method", "args"}, answered with {"id", "result"} or {"id", "error"}
+    private fun handleBridgeMessage(data: String?, replyProxy: JavaScriptReplyProxy) {
+        val reply = JSONObject()
+        try {
+            val request = JSONObject(data ?: "")
+            reply.put("id", request.opt("id"))
+            reply.put("result", callBridge(request.optString("method"), request.optJSONObject("args") ?: JSONObject()))
+        } catch (e: Exception) {
+            reply.put("error", e.message ?: "Bridge call failed")
+        }
+        replyProxy.postMessage(reply.toString())
+    }
+
+    private fun callBridge(method: String, args: JSONObject): Any? {
+        fun requireCapability(enabled: Boolean) {
+            if (!enabled) throw IllegalStateException("$method is not enabled in this app")
+        }
+
+        return when (method) {
+            "getCapabilities" -> JSONArray(bridgeCapabilities())
+            "share" -> {
+                requireCapability(BRIDGE_SHARE)
+                share(args)
+                null
+            }
+            "vibrate" -> {
+                requireCapability(BRIDGE_VIBRATE)
+                vibrate(args)
+                null
+            }
+            "toast" -> {
+                requireCapability(BRIDGE_TOAST)
+                val duration = if (args.optString("duration") == "long") Toast.LENGTH_LONG else Toast.LENGTH_SHORT
+                Toast.makeText(this, args.optString("message"), duration).show()
+                null
+            }
+            "copyToClipboard" -> {
+                requireCapability(BRIDGE_CLIPBOARD)
+                val clipboard = getSystemService(ClipboardManager::class.java)
+                clipboard.setPrimaryClip(ClipData.newPlainText("text", args.optString("text")))
+                null
+            }
+            "getAppInfo" -> {
+                requireCapability(BRIDGE_APP_INFO)
+                @Suppress("DEPRECATION")
+                val info = packageManager.getPackageInfo(packageName, 0)
+                JSONObject()
+                    .put("packageName", packageName)
+                    .put("versionName", info.versionName)
+                    .put("versionCode", PackageInfoCompat.getLongVersionCode(info))
+                    .put("androidSdk", Build.VERSION.SDK_INT)
+                    .put("bridgeVersion", BRIDGE_VERSION)
+            }
+            else -> throw IllegalArgumentException("Unknown bridge method: $method")
+        }
+    }
+
+    private fun share(args: JSONObject) {
+        val text = listOf(args.optString("text"), args.optString("url")).filter { it.isNotEmpty() }.joinToString("\n")
+        if (text.isEmpty()) {
+            throw IllegalArgumentException("Nothing to share")
+        }
+
+        val title = args.optString("title").ifEmpty { null }
+        val intent = Intent(Intent.ACTION_SEND).apply {
+            type = "text/plain"
+            putExtra(Intent.EXTRA_TEXT, text)
+            title?.let { putExtra(Intent.EXTRA_SUBJECT, it) }
+        }
+        startActivity(Intent.createChooser(intent, title))
+    }
+
+    // Takes the Vibration API's pattern (a duration, or alternating vibrate/pause
+    // durations); Android waveforms start with a pause instead
+    private fun vibrate(args: JSONObject) {
+        val durations = args.optJSONArray("pattern")?.let { array -> List(array.length()) { array.optLong(it) } }
+            ?: listOf(args.optLong("pattern", 200))
+        val pattern = (listOf(0L) + durations.take(20).map { it.coerceIn(0L, 5000L) }).toLongArray()
+
+        val vibrator = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.S) {
+            getSystemService(VibratorManager::class.java).defaultVibrator
+        } else {
+            @Suppress("DEPRECATION")
+            getSystemService(Vibrator::class.java)
+        }
+
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+            vibrator.vibrate(VibrationEffect.createWaveform(pattern, -1))
+        } else {
+            @Suppress("DEPRECATION")
+            vibrator.vibrate(pattern, -1)
+        }
+    }
+
+    private fun readAsset(path: String): String? {
+        return try {
+            assets.open(path).bufferedReader().use { it.readText() }
+        } catch (e: java.io.IOException) {
+            null
+        }
+    }
+
+    private fun showErrorPage() {
+        val errorHtml = """
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <style>
+                    body {
+                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+                        display: flex;
+                        justify-content: center;
+                        align-items: center;
+                        height: 100vh;
+                        margin: 0;
+                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                        color: white;
+                        text-align: center;
+                        padding: 20px;
+                    }
+                    .error-container {
+                        max-width: 400px;
+                    }
+                    h1 {
+                        font-size: 72px;
+                        margin: 0;
+                        font-weight: 700;
+                    }
+                    h2 {
+                        font-size: 24px;
+                        margin: 20px 0;
+                        font-weight: 500;
+                    }
+                    p {
+                        font-size: 16px;
+                        opacity: 0.9;
+                        line-height: 1.6;
+                    }
+                    button {
+                        background: white;
+                        color: #667eea;
+                        border: none;
+                        padding: 15px 30px;
+                        font-size: 16px;
+                        font-weight: 600;
+                        border-radius: 25px;
+                        cursor: pointer;
+                        margin-top: 20px;
+                        box-shadow: 0 4px 15px rgba(0,0,0,0.2);
+                    }
+                    .wifi-icon {
+                        font-size: 64px;
+                        margin-bottom: 20px;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="error-container">
+                    <div class="wifi-icon">📡</div>
+                    <h1>Oops!</h1>
+                    <h2>No Internet Connection</h2>
+                    <p>Please check your internet connection and try again.</p>
+                    <button onclick="location.reload()">Try Again</button>
+                </div>
+            </body>
+            </html>
+        """.trimIndent()
+        
+        webView.loadDataWithBaseURL(null, errorHtml, "text/html", "UTF-8", null)
+    }
+
+    override fun onActivityResult(requestCode: Int, resultCode: Int, data: Intent?) {
+        super.onActivityResult(requestCode, resultCode, data)
+        
+        if (requestCode == FILE_CHOOSER_REQUEST_CODE) {
+            fileUploadCallback?.onReceiveValue(
+                WebChromeClient.FileChooserParams.parseResult(resultCode, data)
+            )
+            fileUploadCallback = null
+        }
+    }
+
+    override fun onRequestPermissionsResult(
+        requestCode: Int,
+        permissions: Array<out String>,
+        grantResults: IntArray
+    ) {
+        super.onRequestPermissionsResult(requestCode, permissions, grantResults)
+
+        when (requestCode) {
+            WEB_PERMISSION_REQUEST_CODE -> {
+                pendingPermissionRequest?.let { request ->
+                    // Grant whatever the user allowed, e.g. the camera without the microphone
+                    val granted = allowedResources(request).filter { resource ->
+                        androidPermissionFor(resource)?.let { hasPermission(it) } ?: false
+                    }
+                    if (granted.isEmpty()) request.deny() else request.grant(granted.toTypedArray())
+                }
+                pendingPermissionRequest = null
+            }
+            GEOLOCATION_PERMISSION_REQUEST_CODE -> {
+                pendingGeolocationCallback?.invoke(pendingGeolocationOrigin, hasLocationPermission(), false)
+                pendingGeolocationOrigin = null
+                pendingGeolocationCallback = null
+            }
+        }
+    }
+
+    /**
+     * Route a link by LINK_RULES
+     * @return true if the link was handled outside the WebView (or blocked)
+     */
+    private fun openLink(uri: Uri): Boolean {
+        return when (routeFor(uri)) {
+            "inApp" -> false
+            "browser" -> {
+                startExternalActivity(Intent(Intent.ACTION_VIEW, uri))
+                true
+            }
+            "customTab" -> {
+                try {
+                    CustomTabsIntent.Builder().setShowTitle(true).build().launchUrl(this, uri)
+                } catch (e: ActivityNotFoundException) {
+                    android.util.Log.w("LinkRouting", "No browser to open $uri")
+                }
+                true
+            }
+            "externalApp" -> {
+                openExternalApp(uri)
+                true
+            }
+            else -> true
+        }
+    }
+
+    private fun routeFor(uri: Uri): String {
+        val scheme = uri.scheme?.lowercase() ?: return "block"
+        val host = uri.host?.lowercase() ?: ""
+        val isWeb = scheme == "http" || scheme == "https"
+
+        val rule = LINK_RULES.firstOrNull { rule ->
+            if (rule.type == "scheme") rule.pattern == scheme else isWeb && hostMatches(host, rule.pattern)
+        }
+
+        return when {
+            rule != null -> rule.action
+            scheme in setOf("about", "data", "blob") -> "inApp"
+            !isWeb -> "externalApp"
+            TRUSTED_ORIGINS.any { Uri.parse(it).host == host } -> "inApp"
+            else -> OTHER_HOSTS_ACTION
+        }
+    }
+
+    // "*.example.com" matches example.com and all of its subdomains
+    private fun hostMatches(host: String, pattern: String): Boolean {
+        if (pattern.startsWith("*.")) {
+            val domain = pattern.substring(2)
+            return host == domain || host.endsWith(".$domain")
+        }
+        return host == pattern
+    }
+
+    /**
+     * Hand a custom scheme or intent:// link to the app that handles it. Intents
+     * from web pages may only reach browsable activities of other apps.
+     */
+    private fun openExternalApp(uri: Uri) {
+        val intent = if (uri.scheme == "intent") {
+            try {
+                Intent.parseUri(uri.toString(), Intent.URI_INTENT_SCHEME)
+            } catch (e: java.net.URISyntaxException) {
+                return
+            }
+        } else {
+            Intent(Intent.ACTION_VIEW, uri)
+        }
+        intent.addCategory(Intent.CATEGORY_BROWSABLE)
+        intent.component = null
+        intent.selector = null
+
+        if (!startExternalActivity(intent)) {
+            // intent:// links may name a web page to show when the app isn't installed
+            intent.getStringExtra("browser_fallback_url")?.let { fallback ->
+                val fallbackUri = Uri.parse(fallback)
+                if ((fallbackUri.scheme == "http" || fallbackUri.scheme == "https") && !openLink(fallbackUri)) {
+                    webView.loadUrl(fallback)
+                }
+            }
+        }
+    }
+
+    private fun startExternalActivity(intent: Intent): Boolean {
+        return try {
+            startActivity(intent)
+            true
+        } catch (e: ActivityNotFoundException) {
+            android.util.Log.w("LinkRouting", "No app to open ${intent.data}")
+            false
+        }
+    }
+
+    /**
+     * Whether a page origin (e.g. "https://example.com/") is one of the app's own
+     */
+    private fun isTrustedOrigin(origin: String?): Boolean {
+        val uri = origin?.let { Uri.parse(it) } ?: return false
+        return originOf(uri) in TRUSTED_ORIGINS
+    }
+
+    private fun originOf(uri: Uri): String {
+        val port = if (uri.port != -1) ":${uri.port}" else ""
+        return "${uri.scheme}://${uri.host}$port"
+    }
+
+    /**
+     * Resources of a WebView permission request the app's features allow
+     */
+    private fun allowedResources(request: PermissionRequest): List<String> {
+        return request.resources.filter { resource ->
+            (resource == PermissionRequest.RESOURCE_VIDEO_CAPTURE && ENABLE_CAMERA) ||
+                (resource == PermissionRequest.RESOURCE_AUDIO_CAPTURE && ENABLE_MICROPHONE)
+        }
+    }
+
+    private fun androidPermissionFor(resource: String): String? {
+        return when (resource) {
+            PermissionRequest.RESOURCE_VIDEO_CAPTURE -> Manifest.permission.CAMERA
+            PermissionRequest.RESOURCE_AUDIO_CAPTURE -> Manifest.permission.RECORD_AUDIO
+            else -> null
+        }
+    }
+
+    private fun hasPermission(permission: String): Boolean {
+        return ContextCompat.checkSelfPermission(this, permission) == PackageManager.PERMISSION_GRANTED
+    }
+
+    // Approximate location is enough for the web Geolocation API
+    private fun hasLocationPermission(): Boolean {
+        return hasPermission(Manifest.permission.ACCESS_FINE_LOCATION) ||
+            hasPermission(Manifest.permission.ACCESS_COARSE_LOCATION)
+    }
+
+    override fun onBackPressed() {
+        if (webView.canGoBack()) {
+            webView.goBack()
+        } else {
+            super.onBackPressed()
+        }
+    }
+
+    override fun onNewIntent(intent: Intent?) {
+        super.onNewIntent(intent)
+        
+        // Handle deep links
+        if (ENABLE_DEEP_LINKING && intent?.data != null) {
+            webView.loadUrl(resolveDeepLink(intent.data!!))
+        }
+    }
+
+    /**
+     * Page to load for a deep link. App Links open as they are; custom scheme
+     * links open relative to the website, e.g. myapp://shop/item?id=1 opens
+     * shop/item?id=1 next to WEBSITE_URL
+     */
+    private fun resolveDeepLink(uri: Uri): String {
+        if (uri.scheme == "https" || uri.scheme == "http") {
+            return uri.toString()
+        }
+
+        val path = listOfNotNull(uri.host, uri.encodedPath?.trimStart('/'))
+            .filter { it.isNotEmpty() }
+            .joinToString("/")
+        val query = uri.encodedQuery?.let { "?$it" } ?: ""
+
+        return java.net.URI(WEBSITE_URL).resolve("./$path$query").toString()
+    }
+
+    override fun onPause() {
+        super.onPause()
+        webView.onPause()
+    }
+
+    override fun onResume() {
+        super.onResume()
+        webView.onResume()
+    }
+
+    override fun onDestroy() {
+        super.onDestroy()
+        webView.destroy()
+    }
+}
@@ -0,0 +1,59 @@
+// Type definitions for the Web2APK native bridge 1.0.0
+//
+// window.Web2APK only exists inside apps built with at least one bridge
+// capability enabled, on pages of the app's bridge origins. Check for it, or
+// wait for the "web2apkready" event, before use. Calls to a capability the app
+// was built without reject.
+
+export type Web2APKCapability = 'share' | 'vibrate' | 'toast' | 'clipboard' | 'appInfo';
+
+export interface Web2APKShareData {
+  title?: string;
+  text?: string;
+  url?: string;
+}
+
+export interface Web2APKAppInfo {
+  packageName: string;
+  versionName: string;
+  versionCode: number;
+  /** Android API level of the device */
+  androidSdk: number;
+  bridgeVersion: string;
+}
+
+export interface Web2APKBridge {
+  /** Bridge version the app was built with */
+  readonly version: '1.0.0';
+
+  /** Capabilities enabled in this app */
+  getCapabilities(): Promise<Web2APKCapability[]>;
+
+  /** Open the Android share sheet. Requires the "share" capability. */
+  share(data: Web2APKShareData): Promise<void>;
+
+  /**
+   * Vibrate for a duration, or a pattern of alternating vibrate/pause
+   * durations in milliseconds (as navigator.vibrate). Requires "vibrate".
+   */
+  vibrate(pattern: number | number[]): Promise<void>;
+
+  /** Show a native toast message. Requires "toast". */
+  toast(message: string, duration?: 'short' | 'long'): Promise<void>;
+
+  /** Copy text to the clipboard. Requires "clipboard". */
+  copyToClipboard(text: string): Promise<void>;
+
+  /** Details of the installed app. Requires "appInfo". */
+  getAppInfo(): Promise<Web2APKAppInfo>;
+}
+
+declare global {
+  interface Window {
+    Web2APK?: Web2APKBridge;
+  }
+
+  interface WindowEventMap {
+    web2apkready: Event;
+  }
+}
@@ -0,0 +1,75 @@
+const { render } = require('../services/templateRenderer');
+
+// An app name trying every character that is special in one of the contexts
+const HOSTILE_NAME = 'My "App" $name ${x} \\ <b>&</b> it\'s';
+
+describe('templateRenderer.render escaping', () => {
+  test('kotlinString keeps the value inside one string literal without interpolation', () => {
+    const output = render('val APP_NAME = "{{kotlinString:APP_NAME}}"', { APP_NAME: HOSTILE_NAME });
+
+    expect(output).toBe('val APP_NAME = "My \\"App\\" \\$name \\${x} \\\\ <b>&</b> it\'s"');
+  });
+
+  test('kotlinString escapes line breaks', () => {
+    expect(render('"{{kotlinString:VALUE}}"', { VALUE: 'a\nb\r\tc' })).toBe('"a\\nb\\r\\tc"');
+  });
+
+  test('gradleString escapes quotes, $ and backslashes for Groovy', () => {
+    const output = render('applicationId "{{gradleString:PACKAGE}}"', { PACKAGE: 'a"b$c\\d' });
+
+    expect(output).toBe('applicationId "a\\"b\\$c\\\\d"');
+  });
+
+  test('xmlAttr escapes markup and both quote styles', () => {
+    const output = render('<activity android:label="{{xmlAttr:APP_NAME}}" />', { APP_NAME: HOSTILE_NAME });
+
+    expect(output).toBe(
+      '<activity android:label="My &quot;App&quot; $name ${x} \\ &lt;b&gt;&amp;&lt;/b&gt; it&apos;s" />'
+    );
+  });
+
+  test('xmlText escapes markup but leaves quotes', () => {
+    expect(render('<t>{{xmlText:VALUE}}</t>', { VALUE: '"<&>"' })).toBe('<t>"&lt;&amp;&gt;"</t>');
+  });
+
+  test('androidString escapes resource quoting and a leading @', () => {
+    const output = render('<string name="app_name">{{androidString:APP_NAME}}</string>', { APP_NAME: '@it\'s "<b>"' });
+
+    expect(output).toBe('<string name="app_name">\\@it\\\'s \\"&lt;b&gt;\\"</string>');
+  });
+
+  test('typed contexts reject values that are not of their type', () => {
+    expect(() => render('{{int:CODE}}', { CODE: '1; rm -rf' })).toThrow('CODE must be an integer');
+    expect(() => render('{{bool:FLAG}}', { FLAG: 'true' })).toThrow('FLAG must be a boolean');
+    expect(() => render('{{color:COLOR}}', { COLOR: 'red")' })).toThrow('COLOR must be a hex color');
+    expect(render('{{int:CODE}} {{bool:FLAG}} {{color:COLOR}}', { CODE: '42', FLAG: false, COLOR: '#fff' }))
+      .toBe('42 false #fff');
+  });
+});
+
+describe('templateRenderer.render placeholder matching', () => {
+  test('rejects an unknown context', () => {
+    expect(() => render('{{shell:APP_NAME}}', { APP_NAME: 'x' }, 'Main.kt')).toThrow(
+      expect.objectContaining({
+        code: 'TEMPLATE_RENDER_FAILED',
+        message: 'Unknown placeholder context "shell" in Main.kt: {{shell:APP_NAME}}'
+      })
+    );
+  });
+
+  test('rejects placeholders without a value', () => {
+    expect(() => render('"{{kotlinString:APP_NAME}}" {{int:VERSION_CODE}}', { APP_NAME: 'x' }, 'Main.kt'))
+      .toThrow('Template Main.kt does not match its values: no value for VERSION_CODE');
+  });
+
+  test('rejects values without a placeholder', () => {
+    expect(() => render('"{{kotlinString:APP_NAME}}"', { APP_NAME: 'x', SHORT_NAME: 'y' }, 'Main.kt'))
+      .toThrow('Template Main.kt does not match its values: no placeholder for SHORT_NAME');
+  });
+
+  test('does not render placeholders inside a substituted value', () => {
+    const output = render('"{{kotlinString:APP_NAME}}"', { APP_NAME: '{{raw:APP_NAME}}' });
+
+    expect(output).toBe('"{{raw:APP_NAME}}"');
+  });
+});
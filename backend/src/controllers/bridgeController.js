@@ -0,0 +1,39 @@
+const bridgeService = require('../services/bridgeService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Get the native bridge versions and capabilities
+ * @route   GET /api/bridge
+ * @access  Public
+ */
+const getBridge = asyncHandler(async (req, res, next) => {
+  const bridge = await bridgeService.describeBridge();
+
+  res.status(200).json({
+    success: true,
+    bridge: {
+      ...bridge,
+      typesUrls: Object.fromEntries(bridge.versions.map((version) => [
+        version,
+        `/api/bridge/${version}/web2apk.d.ts`
+      ]))
+    }
+  });
+});
+
+/**
+ * @desc    Download the TypeScript declaration of a bridge version
+ * @route   GET /api/bridge/:version/web2apk.d.ts
+ * @access  Public
+ */
+const getTypeDeclaration = asyncHandler(async (req, res, next) => {
+  const declarationPath = await bridgeService.getDeclarationPath(req.params.version);
+
+  res.type('application/typescript');
+  res.sendFile(declarationPath);
+});
+
+module.exports = {
+  getBridge,
+  getTypeDeclaration
+};
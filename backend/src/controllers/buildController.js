@@ -1,6 +1,18 @@
 const { v4: uuidv4 } = require('uuid');
 const Build = require('../models/Build');
+const Domain = require('../models/Domain');
 const buildQueue = require('../config/queue');
+const keystoreService = require('../services/keystoreService');
+const templateRegistry = require('../services/templateRegistry');
+const { getExecutor } = require('../services/executors');
+const buildCacheService = require('../services/buildCacheService');
+const webManifestService = require('../services/webManifestService');
+const preflightService = require('../services/preflightService');
+const siteBundleService = require('../services/siteBundleService');
+const assetLinksService = require('../services/assetLinksService');
+const bridgeService = require('../services/bridgeService');
+const buildLogService = require('../services/buildLogService');
+const buildEventService = require('../services/buildEventService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const path = require('path');
@@ -14,38 +26,239 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Cloudinary settings for each uploadable file
+const UPLOADS = {
+  appIcon: {
+    label: 'app icon',
+    folder: 'web2apk-app-icons',
+    transformation: [{ width: 512, height: 512, crop: 'fill', quality: 'auto' }],
+    format: 'png'
+  },
+  iconForeground: {
+    label: 'icon foreground',
+    folder: 'web2apk-app-icons',
+    transformation: [{ width: 512, height: 512, crop: 'limit', quality: 'auto' }],
+    format: 'png'
+  },
+  iconBackground: {
+    label: 'icon background',
+    folder: 'web2apk-app-icons',
+    transformation: [{ width: 432, height: 432, crop: 'fill', quality: 'auto' }],
+    format: 'png'
+  },
+  iconMonochrome: {
+    label: 'monochrome icon',
+    folder: 'web2apk-app-icons',
+    transformation: [{ width: 512, height: 512, crop: 'limit', quality: 'auto' }],
+    format: 'png'
+  },
+  splashImage: {
+    label: 'splash image',
+    folder: 'web2apk-splash-images',
+    transformation: [{ width: 1080, height: 1920, crop: 'fit', quality: 'auto' }]
+  },
+  splashBranding: {
+    label: 'splash branding image',
+    folder: 'web2apk-splash-images',
+    transformation: [{ width: 800, height: 320, crop: 'limit', quality: 'auto' }],
+    format: 'png'
+  },
+  siteBundle: {
+    label: 'site bundle',
+    folder: 'web2apk-site-bundles',
+    resourceType: 'raw'
+  }
+};
+
 /**
- * @desc    Create new build
- * @route   POST /api/builds/create
- * @access  Private
+ * Upload a file to Cloudinary and remove the local copy
+ * @returns {Promise<string>} Cloudinary URL
  */
-const createBuild = asyncHandler(async (req, res, next) => {
+async function uploadFile(file, { label, folder, resourceType = 'image', transformation, format }) {
+  logger.info(`Uploading ${label} to Cloudinary: ${file.filename}`);
+
+  const result = await cloudinary.uploader.upload(file.path, {
+    folder,
+    resource_type: resourceType,
+    ...(transformation && { transformation }),
+    ...(format && { format })
+  });
+
+  logger.info(`${label.charAt(0).toUpperCase()}${label.slice(1)} uploaded: ${result.secure_url}`);
+
+  // Delete local file after upload
+  try {
+    await fs.unlink(file.path);
+  } catch (err) {
+    logger.warn(`Failed to delete local ${label}: ${err.message}`);
+  }
+
+  return result.secure_url;
+}
+
+/**
+ * Delete uploaded files that won't be sent to Cloudinary
+ */
+async function discardUploads(files) {
+  for (const field of Object.keys(UPLOADS)) {
+    const file = files[field]?.[0];
+    if (file) {
+      await fs.unlink(file.path).catch((error) => logger.warn(`Failed to delete upload: ${error.message}`));
+    }
+  }
+}
+
+/**
+ * Deep link hosts and schemes of a build, defaulting to the website's own
+ * host so deep linking never claims every https link
+ */
+function resolveDeepLinks(deepLinks, websiteUrl, hasSiteBundle) {
+  const hosts = new Map();
+  const requestedHosts = deepLinks?.hosts?.length > 0 || hasSiteBundle
+    ? deepLinks?.hosts || []
+    : [{ host: new URL(websiteUrl).hostname }];
+
+  for (const { host, pathPrefixes } of requestedHosts) {
+    const prefixes = hosts.get(host) || new Set();
+    (pathPrefixes || []).forEach((prefix) => prefixes.add(prefix));
+    hosts.set(host, prefixes);
+  }
+
+  return {
+    hosts: [...hosts].map(([host, prefixes]) => ({ host, pathPrefixes: [...prefixes] })),
+    schemes: [...new Set(deepLinks?.schemes || [])]
+  };
+}
+
+/**
+ * Check a build request and work out the build's settings, up to finding a
+ * reusable build. Nothing is uploaded to Cloudinary yet.
+ * @returns {Promise<object>} Build settings, or only the report of a failed preflight
+ */
+async function prepareBuild(req, files) {
   const {
+    packageName,
+    splashMinDuration,
+    splashWaitForPageLoad,
+    features,
+    outputFormat,
+    template,
+    templateVersion
+  } = req.body;
+  let {
     websiteUrl,
     appName,
-    packageName,
+    shortName,
+    themeColor,
+    orientation,
     splashBackground,
-    features
+    iconBackgroundColor
   } = req.body;
+  const siteBundle = files.siteBundle?.[0] || null;
+  const siteEntryPage = siteBundle ? req.body.siteEntryPage || 'index.html' : null;
 
   // Check if user can build
   if (!req.user.canBuild()) {
     const remainingBuilds = req.user.getRemainingBuilds();
-    return next(new AppError(
+    throw new AppError(
       `Build limit reached. You have ${remainingBuilds} builds remaining this month. ${
         req.user.subscription.plan === 'free' ? 'Upgrade to Pro for unlimited builds.' : ''
       }`,
       403
-    ));
+    );
   }
 
-  // Check if Android SDK is available
+  // Check if Android SDK is available (source exports and the simulated executor never run Gradle)
   const sdkRoot = process.env.ANDROID_SDK_ROOT;
-  if (!sdkRoot) {
-    return next(new AppError(
+  if (!sdkRoot && outputFormat !== 'source' && getExecutor().requiresAndroidSdk) {
+    throw new AppError(
       'Android SDK is not configured on this server. APK building is not available yet. Please contact support or deploy with Android SDK enabled.',
       503
-    ));
+    );
+  }
+
+  // A static site bundle is served from the app's assets instead of a website
+  if (siteBundle) {
+    if (websiteUrl) {
+      throw new AppError('Provide either a website URL or a site bundle, not both', 400);
+    }
+
+    const siteChecks = ['importMetadata', 'preflight']
+      .filter((option) => req.body[option] === true || req.body[option] === 'true');
+    if (siteChecks.length > 0) {
+      throw new AppError(`${siteChecks.join(' and ')} need a website URL and cannot be used with a site bundle`, 400);
+    }
+
+    await siteBundleService.inspectBundle(siteBundle.path, siteEntryPage);
+
+    websiteUrl = siteBundleService.getLocalUrl(siteEntryPage);
+  }
+
+  // Only the owner of a site may wrap it in an app - bundled sites are the user's own upload
+  if (!siteBundle && req.user.requiresDomainVerification()) {
+    const { hostname } = new URL(websiteUrl);
+    const domain = await Domain.findVerifiedFor(req.user._id, hostname);
+
+    if (!domain) {
+      throw new AppError(
+        `Verify that you own ${hostname} before building an app for it (see /api/domains)`,
+        403
+      );
+    }
+  }
+
+  // Fill in whatever the user left out from the site's Web App Manifest
+  let importedMetadata = null;
+  if (req.body.importMetadata === true || req.body.importMetadata === 'true') {
+    const metadata = await webManifestService.discoverAppMetadata(websiteUrl);
+    const applied = [];
+    const apply = (value, importedValue, field) => {
+      if (value || !importedValue) {
+        return value;
+      }
+      applied.push(field);
+      return importedValue;
+    };
+
+    appName = apply(appName, metadata.appName, 'appName');
+    shortName = apply(shortName, metadata.shortName, 'shortName');
+    themeColor = apply(themeColor, metadata.themeColor, 'themeColor');
+    orientation = apply(orientation, metadata.orientation, 'orientation');
+    splashBackground = apply(splashBackground, metadata.backgroundColor, 'splashBackground');
+    iconBackgroundColor = apply(iconBackgroundColor, metadata.backgroundColor, 'iconBackgroundColor');
+
+    if (!files.appIcon && metadata.icon) {
+      try {
+        const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+        files.appIcon = [await webManifestService.downloadIcon(metadata.icon.url, uploadDir)];
+        applied.push('appIcon');
+      } catch (error) {
+        metadata.warnings.push(`Icon could not be imported: ${error.message}`);
+      }
+    }
+
+    // The URL the user asked for always wins - the manifest's start_url is only proposed
+    importedMetadata = {
+      manifestUrl: metadata.manifestUrl,
+      applied,
+      suggestedWebsiteUrl: metadata.startUrl && metadata.startUrl !== websiteUrl ? metadata.startUrl : null,
+      warnings: metadata.warnings
+    };
+    logger.info(`Imported site metadata for user ${req.user.email}: ${applied.join(', ') || 'nothing'}`);
+  }
+
+  if (!appName) {
+    throw new AppError('App name is required - the site does not declare a usable name', 400);
+  }
+
+  // Optionally check the site works inside the app - a failed check ends the preparation
+  let preflight = null;
+  if (req.body.preflight === true || req.body.preflight === 'true') {
+    preflight = await preflightService.auditWebsite(websiteUrl);
+
+    if (!preflight.passed) {
+      return { preflight };
+    }
   }
 
   // Auto-generate package name if not provided
@@ -54,7 +267,293 @@ const createBuild = asyncHandler(async (req, res, next) => {
   // Validate package name format
   const packageNameRegex = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
   if (!packageNameRegex.test(finalPackageName)) {
-    return next(new AppError('Invalid package name format. Use format: com.example.app', 400));
+    throw new AppError('Invalid package name format. Use format: com.example.app', 400);
+  }
+
+  // Package names are bound to the account holding their signing keystore
+  await keystoreService.assertPackageOwnership(finalPackageName, req.user._id);
+
+  // Pin the template version this build is generated from
+  const templateDescriptor = await templateRegistry.resolveTemplate({ name: template, version: templateVersion });
+  const requestedFeatures = Object.keys(features || {})
+    .filter((feature) => features[feature] === true || features[feature] === 'true');
+  templateRegistry.assertSupports(templateDescriptor, requestedFeatures, outputFormat || 'apk');
+
+  // Browsers only open https origins as Trusted Web Activities
+  if (templateDescriptor.mode === 'twa' && (siteBundle || new URL(websiteUrl).protocol !== 'https:')) {
+    throw new AppError(`The ${templateDescriptor.name} template requires an https website URL`, 400);
+  }
+
+  // The browser renders Trusted Web Activities, so the app can't change their pages
+  if (templateDescriptor.mode === 'twa' && req.body.injections?.length > 0) {
+    throw new AppError(`The ${templateDescriptor.name} template does not support CSS or JavaScript injections`, 400);
+  }
+
+  if (templateDescriptor.mode === 'twa' && req.body.webViewProfile) {
+    throw new AppError(`The ${templateDescriptor.name} template does not use a WebView, so webViewProfile cannot be set`, 400);
+  }
+
+  // The browser handles navigation in Trusted Web Activities, so link rules would never apply
+  if (templateDescriptor.mode === 'twa' && (req.body.linkRouting?.rules?.length > 0 || req.body.linkRouting?.otherHosts)) {
+    throw new AppError(`The ${templateDescriptor.name} template does not support link routing`, 400);
+  }
+
+  // Multipart requests send feature flags as strings
+  const flag = (value, fallback) => (value === undefined ? fallback : value === true || value === 'true');
+  const buildFeatures = {
+    pullToRefresh: flag(features?.pullToRefresh, true),
+    progressBar: flag(features?.progressBar, true),
+    errorPage: flag(features?.errorPage, true),
+    fileUpload: flag(features?.fileUpload, false),
+    deepLinking: flag(features?.deepLinking, false),
+    swipeRefresh: flag(features?.swipeRefresh, true),
+    geolocation: flag(features?.geolocation, false),
+    camera: flag(features?.camera, false),
+    microphone: flag(features?.microphone, false),
+    bridgeShare: flag(features?.bridgeShare, false),
+    bridgeVibrate: flag(features?.bridgeVibrate, false),
+    bridgeToast: flag(features?.bridgeToast, false),
+    bridgeClipboard: flag(features?.bridgeClipboard, false),
+    bridgeAppInfo: flag(features?.bridgeAppInfo, false),
+    localStorage: flag(features?.localStorage, true)
+  };
+
+  const hasDeepLinkConfig = req.body.deepLinks?.hosts?.length > 0 || req.body.deepLinks?.schemes?.length > 0;
+  if (hasDeepLinkConfig && !buildFeatures.deepLinking) {
+    throw new AppError('deepLinks requires features.deepLinking to be enabled', 400);
+  }
+
+  const deepLinks = buildFeatures.deepLinking
+    ? resolveDeepLinks(req.body.deepLinks, websiteUrl, Boolean(siteBundle))
+    : { hosts: [], schemes: [] };
+
+  const linkRouting = {
+    rules: (req.body.linkRouting?.rules || []).map(({ host, scheme, action }) => ({
+      host: host || null,
+      scheme: host ? null : scheme,
+      action
+    })),
+    otherHosts: req.body.linkRouting?.otherHosts || 'inApp'
+  };
+
+  // DOM storage is what the localStorage feature switches, so both must agree
+  const profile = req.body.webViewProfile || {};
+  if (profile.domStorage !== undefined && features?.localStorage !== undefined
+    && flag(profile.domStorage, true) !== buildFeatures.localStorage) {
+    throw new AppError('webViewProfile.domStorage and features.localStorage disagree', 400);
+  }
+  buildFeatures.localStorage = flag(profile.domStorage, buildFeatures.localStorage);
+
+  const webViewProfile = {
+    userAgentSuffix: profile.userAgentSuffix || '',
+    cacheMode: profile.cacheMode || 'default',
+    zoom: flag(profile.zoom, false),
+    textZoom: profile.textZoom || 100,
+    mixedContent: profile.mixedContent || 'never',
+    fileAccess: flag(profile.fileAccess, false),
+    thirdPartyCookies: flag(profile.thirdPartyCookies, false),
+    domStorage: buildFeatures.localStorage
+  };
+
+  const bridgeOrigins = [...new Set(req.body.bridgeOrigins || [])];
+  if (bridgeOrigins.length > 0 && bridgeService.getEnabledCapabilities(buildFeatures).length === 0) {
+    throw new AppError('bridgeOrigins requires at least one bridge feature to be enabled', 400);
+  }
+
+  const injections = (req.body.injections || []).map(({ type, code, runAt, urlPatterns }) => ({
+    type,
+    code,
+    runAt: runAt || 'pageFinished',
+    urlPatterns: urlPatterns || []
+  }));
+
+  // App Links claim the hosts' URLs, so they need the same proof of ownership as the website
+  if (req.user.requiresDomainVerification()) {
+    for (const { host } of deepLinks.hosts) {
+      if (!await Domain.findVerifiedFor(req.user._id, host)) {
+        throw new AppError(`Verify that you own ${host} before using it for deep links (see /api/domains)`, 403);
+      }
+    }
+
+    // The bridge hands native capabilities to these pages
+    const websiteOrigin = new URL(websiteUrl).origin;
+    for (const origin of bridgeOrigins.filter((candidate) => candidate !== websiteOrigin)) {
+      const { hostname } = new URL(origin);
+      if (!await Domain.findVerifiedFor(req.user._id, hostname)) {
+        throw new AppError(`Verify that you own ${hostname} before exposing the native bridge to it (see /api/domains)`, 403);
+      }
+    }
+  }
+
+  // Identical inputs produce an identical app - reuse an earlier build's artifacts if possible
+  const executor = getExecutor();
+  const isPremium = req.user.subscription.plan === 'pro';
+  const configHash = buildCacheService.computeConfigHash({
+    appConfig: {
+      websiteUrl,
+      appName,
+      packageName: finalPackageName,
+      shortName: shortName || null,
+      themeColor: themeColor || '#6200EE',
+      orientation: orientation || 'unspecified',
+      splashBackground: splashBackground || '#FFFFFF',
+      splashMinDuration: splashMinDuration || 0,
+      splashWaitForPageLoad: splashWaitForPageLoad === true,
+      iconBackgroundColor: iconBackgroundColor || '#FFFFFF',
+      deepLinks,
+      linkRouting,
+      injections,
+      bridgeOrigins,
+      webViewProfile
+    },
+    features: buildFeatures,
+    iconHash: await buildCacheService.hashFile(files.appIcon?.[0]?.path),
+    iconLayerHashes: {
+      foreground: await buildCacheService.hashFile(files.iconForeground?.[0]?.path),
+      background: await buildCacheService.hashFile(files.iconBackground?.[0]?.path),
+      monochrome: await buildCacheService.hashFile(files.iconMonochrome?.[0]?.path)
+    },
+    splashHash: await buildCacheService.hashFile(files.splashImage?.[0]?.path),
+    splashBrandingHash: await buildCacheService.hashFile(files.splashBranding?.[0]?.path),
+    siteBundleHash: await buildCacheService.hashFile(siteBundle?.path),
+    template: { name: templateDescriptor.name, version: templateDescriptor.version },
+    signingIdentity: executor.requiresKeystore
+      ? await keystoreService.getSigningIdentity(finalPackageName)
+      : `unsigned:${executor.name}`,
+    outputFormat: outputFormat || 'apk',
+    hasWatermark: !isPremium,
+    executor: executor.name
+  });
+
+  const cachedBuild = req.body.forceRebuild === true || req.body.forceRebuild === 'true'
+    ? null
+    : await buildCacheService.findReusableBuild(req.user._id, configHash);
+
+  return {
+    websiteUrl,
+    appName,
+    shortName,
+    themeColor,
+    orientation,
+    splashBackground,
+    iconBackgroundColor,
+    finalPackageName,
+    siteEntryPage,
+    templateDescriptor,
+    buildFeatures,
+    deepLinks,
+    linkRouting,
+    injections,
+    bridgeOrigins,
+    webViewProfile,
+    importedMetadata,
+    preflight,
+    isPremium,
+    configHash,
+    cachedBuild
+  };
+}
+
+/**
+ * @desc    Create new build
+ * @route   POST /api/builds/create
+ * @access  Private
+ */
+const createBuild = asyncHandler(async (req, res, next) => {
+  const {
+    splashMinDuration,
+    splashWaitForPageLoad,
+    outputFormat
+  } = req.body;
+  const files = { ...req.files };
+
+  // Every way out before the Cloudinary upload must drop the local uploads
+  let prepared;
+  try {
+    prepared = await prepareBuild(req, files);
+  } catch (error) {
+    await discardUploads(files);
+    throw error;
+  }
+
+  // Optionally refuse to build sites that won't work inside the app
+  if (prepared.preflight && !prepared.preflight.passed) {
+    await discardUploads(files);
+    return res.status(422).json({
+      success: false,
+      message: `Website failed the pre-build check: ${prepared.preflight.errors.map((error) => error.message).join('; ')}`,
+      preflight: prepared.preflight
+    });
+  }
+
+  const {
+    websiteUrl,
+    appName,
+    shortName,
+    themeColor,
+    orientation,
+    splashBackground,
+    iconBackgroundColor,
+    finalPackageName,
+    siteEntryPage,
+    templateDescriptor,
+    buildFeatures,
+    deepLinks,
+    linkRouting,
+    injections,
+    bridgeOrigins,
+    webViewProfile,
+    importedMetadata,
+    preflight,
+    isPremium,
+    configHash,
+    cachedBuild
+  } = prepared;
+
+  if (cachedBuild) {
+    // Uploaded images are identical to the cached build's - no need to keep them
+    await discardUploads(files);
+
+    const build = new Build({
+      user: req.user._id,
+      buildId: uuidv4(),
+      appConfig: cachedBuild.appConfig,
+      features: buildFeatures,
+      template: cachedBuild.template,
+      outputFormat: cachedBuild.outputFormat,
+      isPremium,
+      hasWatermark: !isPremium,
+      configHash
+    });
+    build.completeFromCache(cachedBuild);
+    await build.save();
+
+    logger.info(`Build ${build.buildId} reused artifacts of ${cachedBuild.buildId} for user: ${req.user.email}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Identical build found - reusing its artifacts',
+      cacheHit: true,
+      importedMetadata,
+      preflight,
+      build: {
+        id: build._id,
+        buildId: build.buildId,
+        status: build.status,
+        appName: build.appConfig.appName,
+        packageName: build.appConfig.packageName,
+        outputFormat: build.outputFormat,
+        template: { name: build.template.name, version: build.template.version },
+        progress: build.progress,
+        currentStep: build.currentStep,
+        reusedFrom: cachedBuild.buildId,
+        downloadUrl: build.output.downloadUrl,
+        aabDownloadUrl: build.output.aabDownloadUrl,
+        sourceDownloadUrl: build.output.sourceDownloadUrl,
+        createdAt: build.createdAt,
+        expiresAt: build.expiresAt
+      }
+    });
   }
 
   // Generate unique build ID
@@ -72,65 +571,20 @@ const createBuild = asyncHandler(async (req, res, next) => {
   }
 
   // Handle file uploads - Upload to Cloudinary for cross-server access
-  let appIconUrl = null;
-  let splashImageUrl = null;
+  const uploadUrls = {};
 
-  if (req.files) {
-    // Upload app icon to Cloudinary
-    if (req.files.appIcon) {
-      try {
-        logger.info(`Uploading app icon to Cloudinary: ${req.files.appIcon[0].filename}`);
-        
-        const result = await cloudinary.uploader.upload(req.files.appIcon[0].path, {
-          folder: 'web2apk-app-icons',
-          resource_type: 'image',
-          transformation: [
-            { width: 512, height: 512, crop: 'fill', quality: 'auto' }
-          ],
-          format: 'png'
-        });
-        
-        appIconUrl = result.secure_url;
-        logger.info(`App icon uploaded: ${appIconUrl}`);
-        
-        // Delete local file after upload
-        try {
-          await fs.unlink(req.files.appIcon[0].path);
-        } catch (err) {
-          logger.warn(`Failed to delete local app icon: ${err.message}`);
-        }
-      } catch (error) {
-        logger.error(`Failed to upload app icon to Cloudinary: ${error.message}`);
-        return next(new AppError('Failed to upload app icon. Please try again.', 500));
-      }
+  for (const [field, upload] of Object.entries(UPLOADS)) {
+    if (!files[field]) {
+      continue;
     }
-    
-    // Upload splash image to Cloudinary
-    if (req.files.splashImage) {
-      try {
-        logger.info(`Uploading splash image to Cloudinary: ${req.files.splashImage[0].filename}`);
-        
-        const result = await cloudinary.uploader.upload(req.files.splashImage[0].path, {
-          folder: 'web2apk-splash-images',
-          resource_type: 'image',
-          transformation: [
-            { width: 1080, height: 1920, crop: 'fit', quality: 'auto' }
-          ]
-        });
-        
-        splashImageUrl = result.secure_url;
-        logger.info(`Splash image uploaded: ${splashImageUrl}`);
-        
-        // Delete local file after upload
-        try {
-          await fs.unlink(req.files.splashImage[0].path);
-        } catch (err) {
-          logger.warn(`Failed to delete local splash image: ${err.message}`);
-        }
-      } catch (error) {
-        logger.error(`Failed to upload splash image to Cloudinary: ${error.message}`);
-        return next(new AppError('Failed to upload splash image. Please try again.', 500));
-      }
+
+    try {
+      uploadUrls[field] = await uploadFile(files[field][0], upload);
+    } catch (error) {
+      logger.error(`Failed to upload ${upload.label} to Cloudinary: ${error.message}`);
+      // uploadFile already removed the files that made it to Cloudinary
+      await discardUploads(Object.fromEntries(Object.entries(files).filter(([name]) => !uploadUrls[name])));
+      return next(new AppError(`Failed to upload ${upload.label}. Please try again.`, 500));
     }
   }
 
@@ -142,23 +596,37 @@ const createBuild = asyncHandler(async (req, res, next) => {
       websiteUrl,
       appName,
       packageName: finalPackageName,
+      shortName: shortName || null,
+      themeColor: themeColor || '#6200EE',
+      orientation: orientation || 'unspecified',
       splashBackground: splashBackground || '#FFFFFF',
-      splashImage: splashImageUrl,  // Cloudinary URL instead of local path
-      appIcon: appIconUrl            // Cloudinary URL instead of local path
+      splashImage: uploadUrls.splashImage || null,  // Cloudinary URL instead of local path
+      splashBranding: uploadUrls.splashBranding || null,
+      splashMinDuration: splashMinDuration || 0,
+      splashWaitForPageLoad: splashWaitForPageLoad === true,
+      appIcon: uploadUrls.appIcon || null,          // Cloudinary URL instead of local path
+      iconForeground: uploadUrls.iconForeground || null,
+      iconBackground: uploadUrls.iconBackground || null,
+      iconBackgroundColor: iconBackgroundColor || '#FFFFFF',
+      iconMonochrome: uploadUrls.iconMonochrome || null,
+      siteBundle: uploadUrls.siteBundle || null,
+      siteEntryPage,
+      deepLinks,
+      linkRouting,
+      injections,
+      bridgeOrigins,
+      webViewProfile
     },
-    features: {
-      pullToRefresh: features?.pullToRefresh ?? true,
-      progressBar: features?.progressBar ?? true,
-      errorPage: features?.errorPage ?? true,
-      fileUpload: features?.fileUpload ?? false,
-      deepLinking: features?.deepLinking ?? false,
-      swipeRefresh: features?.swipeRefresh ?? true,
-      geolocation: features?.geolocation ?? false,
-      localStorage: features?.localStorage ?? true
+    features: buildFeatures,
+    template: {
+      name: templateDescriptor.name,
+      version: templateDescriptor.version
     },
+    outputFormat: outputFormat || 'apk',
     status: 'queued',
-    isPremium: req.user.subscription.plan === 'pro',
-    hasWatermark: req.user.subscription.plan !== 'pro'
+    isPremium,
+    hasWatermark: !isPremium,
+    configHash
   });
 
   // Add job to build queue
@@ -167,6 +635,8 @@ const createBuild = asyncHandler(async (req, res, next) => {
     userId: req.user._id.toString(),
     appConfig: build.appConfig,
     features: build.features,
+    template: build.template,
+    outputFormat: build.outputFormat,
     isPremium: build.isPremium
   }, {
     jobId: buildId,
@@ -186,12 +656,17 @@ const createBuild = asyncHandler(async (req, res, next) => {
   res.status(201).json({
     success: true,
     message: 'Build queued successfully',
+    cacheHit: false,
+    importedMetadata,
+    preflight,
     build: {
       id: build._id,
       buildId: build.buildId,
       status: build.status,
       appName: build.appConfig.appName,
       packageName: build.appConfig.packageName,
+      outputFormat: build.outputFormat,
+      template: build.template.name ? { name: build.template.name, version: build.template.version } : null,
       progress: build.progress,
       currentStep: build.currentStep,
       createdAt: build.createdAt
@@ -199,6 +674,34 @@ const createBuild = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Propose app metadata from a site's Web App Manifest and icons
+ * @route   POST /api/builds/import-metadata
+ * @access  Private
+ */
+const importSiteMetadata = asyncHandler(async (req, res) => {
+  const metadata = await webManifestService.discoverAppMetadata(req.body.websiteUrl);
+
+  res.status(200).json({
+    success: true,
+    metadata
+  });
+});
+
+/**
+ * @desc    Check that a website will work inside the generated app
+ * @route   POST /api/builds/preflight
+ * @access  Private
+ */
+const runPreflight = asyncHandler(async (req, res) => {
+  const report = await preflightService.auditWebsite(req.body.websiteUrl);
+
+  res.status(200).json({
+    success: true,
+    report
+  });
+});
+
 /**
  * @desc    Get build status
  * @route   GET /api/builds/:buildId
@@ -228,16 +731,46 @@ const getBuildStatus = asyncHandler(async (req, res, next) => {
       currentStep: build.currentStep,
       appName: build.appConfig.appName,
       packageName: build.appConfig.packageName,
+      outputFormat: build.outputFormat,
+      template: build.template.name ? { name: build.template.name, version: build.template.version } : null,
       output: {
         downloadUrl: build.output.downloadUrl,
         apkPath: build.output.apkPath,
         apkSize: build.output.apkSize,
-        cloudinaryPublicId: build.output.cloudinaryPublicId
+        cloudinaryPublicId: build.output.cloudinaryPublicId,
+        aabDownloadUrl: build.output.aabDownloadUrl,
+        aabPath: build.output.aabPath,
+        aabSize: build.output.aabSize,
+        aabCloudinaryPublicId: build.output.aabCloudinaryPublicId,
+        sourceDownloadUrl: build.output.sourceDownloadUrl,
+        sourcePath: build.output.sourcePath,
+        sourceSize: build.output.sourceSize,
+        sourceCloudinaryPublicId: build.output.sourceCloudinaryPublicId
       },
+      signing: {
+        keyAlias: build.signing.keyAlias,
+        sha1Fingerprint: build.signing.sha1Fingerprint,
+        sha256Fingerprint: build.signing.sha256Fingerprint
+      },
+      assetLinksUrl: build.signing.sha256Fingerprint ? `/api/builds/${build.buildId}/assetlinks` : null,
+      // Where each App Links host has to publish the build's assetlinks.json
+      appLinks: build.appConfig.deepLinks.hosts.map(({ host, pathPrefixes }) => ({
+        host,
+        pathPrefixes,
+        wellKnownUrl: `https://${host}/.well-known/assetlinks.json`,
+        assetLinksUrl: build.signing.sha256Fingerprint
+          ? `/api/builds/${build.buildId}/assetlinks?host=${encodeURIComponent(host)}`
+          : null
+      })),
       downloadUrl: build.output.downloadUrl, // Keep for backwards compatibility
       apkSize: build.output.apkSize,
       apkSizeFormatted: build.apkSizeFormatted,
+      aabSizeFormatted: build.aabSizeFormatted,
+      sourceSizeFormatted: build.sourceSizeFormatted,
       duration: build.buildTime.duration,
+      phases: build.buildTime.phases,
+      gradleDaemon: build.buildTime.gradleDaemon,
+      cacheHit: build.cacheHit,
       durationFormatted: build.durationFormatted,
       error: build.error.message,
       createdAt: build.createdAt,
@@ -248,7 +781,7 @@ const getBuildStatus = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Download APK
+ * @desc    Download build artifact (?artifact=apk|aab|source, defaults to the build's output format)
  * @route   GET /api/builds/:buildId/download
  * @access  Private
  */
@@ -274,34 +807,37 @@ const downloadAPK = asyncHandler(async (req, res, next) => {
     return next(new AppError('Build has expired', 410));
   }
 
+  // Default to whichever artifact the build produced
+  const artifact = build.getArtifact(req.query.artifact);
+  const { label, path: artifactPath } = artifact;
+
+  if (!artifactPath) {
+    return next(new AppError(`${label} file not found`, 404));
+  }
+
   // Increment download count
   await build.incrementDownloadCount();
 
-  logger.info(`APK download requested: ${buildId} by user: ${req.user.email}`);
+  logger.info(`${label} download requested: ${buildId} by user: ${req.user.email}`);
 
   // Check if we have a Cloudinary URL (starts with https://)
-  if (build.output.apkPath && build.output.apkPath.startsWith('https://')) {
-    // APK is on Cloudinary - redirect directly
-    logger.info(`Redirecting to Cloudinary: ${build.output.apkPath}`);
-    return res.redirect(build.output.apkPath);
+  if (artifactPath.startsWith('https://')) {
+    // Artifact is on Cloudinary - redirect directly
+    logger.info(`Redirecting to Cloudinary: ${artifactPath}`);
+    return res.redirect(artifactPath);
   }
 
   // Fallback: Local file (for backwards compatibility or if Cloudinary fails)
-  if (!build.output.apkPath) {
-    return next(new AppError('APK file not found', 404));
-  }
-
-  // Check if local file exists
   try {
-    await fs.access(build.output.apkPath);
+    await fs.access(artifactPath);
   } catch (error) {
-    return next(new AppError('APK file not found on server', 404));
+    return next(new AppError(`${label} file not found on server`, 404));
   }
 
-  logger.info(`Serving local APK: ${buildId}`);
+  logger.info(`Serving local ${label}: ${buildId}`);
 
   // Send local file
-  res.download(build.output.apkPath, `${build.appConfig.appName}.apk`, (err) => {
+  res.download(artifactPath, artifact.fileName, (err) => {
     if (err) {
       logger.error(`Download error: ${err.message}`);
       if (!res.headersSent) {
@@ -311,6 +847,57 @@ const downloadAPK = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Download the /.well-known/assetlinks.json that links the build's site to the app
+ *          (?fingerprints= adds the Play App Signing key, comma separated; ?host= merges
+ *          with the file that deep link host already serves)
+ * @route   GET /api/builds/:buildId/assetlinks
+ * @access  Private
+ */
+const getAssetLinks = asyncHandler(async (req, res, next) => {
+  const { buildId } = req.params;
+
+  const build = await Build.findOne({ buildId });
+
+  if (!build) {
+    return next(new AppError('Build not found', 404));
+  }
+
+  // Check if user owns this build
+  if (build.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to access this build', 403));
+  }
+
+  const fingerprints = [
+    build.signing.sha256Fingerprint,
+    ...(req.query.fingerprints ? req.query.fingerprints.split(',') : [])
+  ].filter(Boolean);
+
+  // Source exports are signed by the user, so their fingerprint has to be given
+  if (fingerprints.length === 0) {
+    return next(new AppError('This build has no signing fingerprint yet - pass the signing key\'s fingerprints', 409));
+  }
+
+  let assetLinks = assetLinksService.buildAssetLinks(build.appConfig.packageName, fingerprints);
+
+  const { host } = req.query;
+  if (host) {
+    const hosts = build.appConfig.deepLinks.hosts.map((link) => link.host);
+    if (!build.appConfig.siteBundle) {
+      hosts.push(new URL(build.appConfig.websiteUrl).hostname);
+    }
+
+    if (!hosts.includes(host)) {
+      return next(new AppError(`${host} is not a deep link host of this build`, 400));
+    }
+
+    assetLinks = assetLinksService.mergeAssetLinks(await assetLinksService.fetchPublishedAssetLinks(host), assetLinks);
+  }
+
+  res.set('Content-Disposition', 'attachment; filename="assetlinks.json"');
+  res.status(200).json(assetLinks);
+});
+
 /**
  * @desc    Get user's builds
  * @route   GET /api/builds
@@ -348,9 +935,15 @@ const getUserBuilds = asyncHandler(async (req, res, next) => {
       packageName: build.appConfig.packageName,
       websiteUrl: build.appConfig.websiteUrl,
       status: build.status,
+      outputFormat: build.outputFormat,
+      template: build.template.name ? { name: build.template.name, version: build.template.version } : null,
       progress: build.progress,
       downloadUrl: build.output.downloadUrl,
+      aabDownloadUrl: build.output.aabDownloadUrl,
+      sourceDownloadUrl: build.output.sourceDownloadUrl,
       apkSizeFormatted: build.apkSizeFormatted,
+      aabSizeFormatted: build.aabSizeFormatted,
+      sourceSizeFormatted: build.sourceSizeFormatted,
       durationFormatted: build.durationFormatted,
       downloadCount: build.stats.downloadCount,
       createdAt: build.createdAt,
@@ -380,12 +973,22 @@ const deleteBuild = asyncHandler(async (req, res, next) => {
     return next(new AppError('Not authorized to delete this build', 403));
   }
 
-  // Delete APK file if exists
-  if (build.output.apkPath) {
+  // Delete artifact files unless another build reuses them
+  const artifacts = [
+    ['APK file', build.output.apkPath],
+    ['AAB file', build.output.aabPath],
+    ['source archive', build.output.sourcePath]
+  ];
+
+  for (const [label, artifactPath] of artifacts) {
+    if (!artifactPath || await build.isArtifactShared(artifactPath)) {
+      continue;
+    }
+
     try {
-      await fs.unlink(build.output.apkPath);
+      await fs.unlink(artifactPath);
     } catch (error) {
-      logger.warn(`Failed to delete APK file: ${error.message}`);
+      logger.warn(`Failed to delete ${label}: ${error.message}`);
     }
   }
 
@@ -441,11 +1044,12 @@ const cancelBuild = asyncHandler(async (req, res, next) => {
     return next(new AppError('Build cannot be cancelled in current status', 400));
   }
 
-  // Remove job from queue
+  // Remove job from queue - active jobs are locked by the worker and are
+  // stopped through the 'cancelled' event below instead
   if (build.jobId) {
     try {
       const job = await buildQueue.getJob(build.jobId);
-      if (job) {
+      if (job && !(await job.isActive())) {
         await job.remove();
       }
     } catch (error) {
@@ -453,23 +1057,222 @@ const cancelBuild = asyncHandler(async (req, res, next) => {
     }
   }
 
-  build.status = 'cancelled';
-  build.currentStep = 'Build cancelled by user';
-  await build.save();
+  // Conditional so a build the worker finished in the meantime stays completed
+  const cancelled = await Build.findOneAndUpdate(
+    { buildId, status: { $in: ['pending', 'queued', 'building'] } },
+    { status: 'cancelled', currentStep: 'Build cancelled by user' },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return next(new AppError('Build cannot be cancelled in current status', 400));
+  }
+
+  // Stops Gradle on the worker running this build and notifies subscribers
+  await buildEventService.publishBuildEvent(buildId, 'cancelled', {
+    status: cancelled.status,
+    currentStep: cancelled.currentStep
+  });
+
+  // Give back the monthly build consumed when the build was created
+  await req.user.refundBuildCount(cancelled.createdAt);
 
   logger.info(`Build cancelled: ${buildId} by user: ${req.user.email}`);
 
   res.status(200).json({
     success: true,
-    message: 'Build cancelled successfully'
+    message: 'Build cancelled successfully',
+    remainingBuilds: req.user.getRemainingBuilds()
+  });
+});
+
+/**
+ * @desc    Get build log (?follow=true streams new lines while the build runs)
+ * @route   GET /api/builds/:buildId/logs
+ * @access  Private
+ */
+const getBuildLogs = asyncHandler(async (req, res, next) => {
+  const { buildId } = req.params;
+
+  const build = await Build.findOne({ buildId });
+
+  if (!build) {
+    return next(new AppError('Build not found', 404));
+  }
+
+  // Check if user owns this build
+  if (build.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to access this build', 403));
+  }
+
+  const activeStatuses = ['pending', 'queued', 'building'];
+  const follow = req.query.follow === 'true' || req.query.follow === true;
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  if (!follow || !activeStatuses.includes(build.status)) {
+    const log = await buildLogService.getLog(buildId);
+
+    if (log === null) {
+      return next(new AppError('No log available for this build', 404));
+    }
+
+    return res.status(200).send(log);
+  }
+
+  // Stream the live log until the build finishes or the client disconnects
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+  res.flushHeaders();
+
+  let closed = false;
+  let stopWaiting = null;
+  req.on('close', () => {
+    closed = true;
+    if (stopWaiting) {
+      stopWaiting();
+    }
+  });
+
+  const pollInterval = parseInt(process.env.BUILD_LOG_POLL_INTERVAL_MS) || 1000;
+  let nextLine = 0;
+  let finished = false;
+
+  // Headers are already sent, so errors end the stream instead of reaching the error handler
+  try {
+    while (!closed) {
+      const chunk = await buildLogService.readLiveLines(buildId, nextLine);
+      nextLine = chunk.nextLine;
+
+      if (chunk.lines.length > 0) {
+        res.write(`${chunk.lines.join('\n')}\n`);
+      }
+
+      if (finished) {
+        break;
+      }
+
+      const current = await Build.findOne({ buildId }).select('status');
+      // Read once more after the build finishes to pick up its final lines
+      finished = !current || !activeStatuses.includes(current.status);
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, finished ? 0 : pollInterval);
+        stopWaiting = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      stopWaiting = null;
+    }
+  } catch (error) {
+    logger.error(`Failed to stream log of build ${buildId}: ${error.message}`);
+
+    if (!closed) {
+      res.write('> Log stream failed, reload to continue following the build\n');
+    }
+  }
+
+  res.end();
+});
+
+/**
+ * @desc    Subscribe to build progress (Server-Sent Events)
+ * @route   GET /api/builds/:buildId/events
+ * @access  Private
+ */
+const getBuildEvents = asyncHandler(async (req, res, next) => {
+  const { buildId } = req.params;
+
+  const build = await Build.findOne({ buildId });
+
+  if (!build) {
+    return next(new AppError('Build not found', 404));
+  }
+
+  // Check if user owns this build
+  if (build.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to access this build', 403));
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+  res.flushHeaders();
+
+  let closed = false;
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const send = (event) => {
+    if (!closed) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  const close = async () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      await unsubscribe();
+      unsubscribe = null;
+    }
+    res.end();
+  };
+
+  // Registered before any await so a client leaving early still releases everything
+  req.on('close', close);
+
+  // Subscribe before reading the snapshot so no update is missed in between
+  const subscription = await buildEventService.subscribeToBuild(buildId, (event) => {
+    send(event);
+    if (buildEventService.isTerminal(event.type)) {
+      close();
+    }
   });
+
+  if (closed) {
+    return subscription();
+  }
+  unsubscribe = subscription;
+
+  const current = await Build.findOne({ buildId });
+
+  if (closed) {
+    return;
+  }
+
+  // Deleted while subscribing
+  if (!current) {
+    return close();
+  }
+
+  send(buildEventService.buildSnapshot(current));
+
+  if (buildEventService.isTerminal(current.status)) {
+    return close();
+  }
+
+  // Keep proxies from closing an idle connection
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
 });
 
 module.exports = {
   createBuild,
+  importSiteMetadata,
+  runPreflight,
   getBuildStatus,
   downloadAPK,
   getUserBuilds,
   deleteBuild,
-  cancelBuild
+  cancelBuild,
+  getBuildLogs,
+  getBuildEvents,
+  getAssetLinks
 };
@@ -0,0 +1,131 @@
+const Domain = require('../models/Domain');
+const domainVerificationService = require('../services/domainVerificationService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Format a domain for API responses
+ */
+const formatDomain = (domain) => ({
+  id: domain._id,
+  hostname: domain.hostname,
+  status: domain.status,
+  verificationMethod: domain.verificationMethod,
+  verifiedAt: domain.verifiedAt,
+  lastCheckedAt: domain.lastCheckedAt,
+  lastError: domain.lastError,
+  instructions: domain.instructions,
+  createdAt: domain.createdAt
+});
+
+/**
+ * Find one of the current user's domains
+ */
+const findUserDomain = async (req) => {
+  const domain = await Domain.findOne({ user: req.user._id, hostname: req.params.hostname });
+
+  if (!domain) {
+    throw new AppError('Domain not found', 404);
+  }
+
+  return domain;
+};
+
+/**
+ * @desc    Add a domain to verify
+ * @route   POST /api/domains
+ * @access  Private
+ */
+const addDomain = asyncHandler(async (req, res, next) => {
+  const { hostname } = req.body;
+
+  const existing = await Domain.findOne({ user: req.user._id, hostname });
+  if (existing) {
+    return next(new AppError(`${hostname} has already been added`, 400));
+  }
+
+  const domain = await Domain.create({ user: req.user._id, hostname });
+
+  logger.info(`Domain ${hostname} added by user: ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Domain added - publish the verification token with one of the methods in instructions, then verify',
+    domain: formatDomain(domain)
+  });
+});
+
+/**
+ * @desc    Get user's domains
+ * @route   GET /api/domains
+ * @access  Private
+ */
+const getDomains = asyncHandler(async (req, res, next) => {
+  const domains = await Domain.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: domains.length,
+    domains: domains.map(formatDomain)
+  });
+});
+
+/**
+ * @desc    Get a domain with its verification instructions
+ * @route   GET /api/domains/:hostname
+ * @access  Private
+ */
+const getDomain = asyncHandler(async (req, res, next) => {
+  const domain = await findUserDomain(req);
+
+  res.status(200).json({
+    success: true,
+    domain: formatDomain(domain)
+  });
+});
+
+/**
+ * @desc    Check the domain's verification token
+ * @route   POST /api/domains/:hostname/verify
+ * @access  Private
+ */
+const verifyDomain = asyncHandler(async (req, res, next) => {
+  const domain = await findUserDomain(req);
+
+  const result = await domainVerificationService.verifyDomain(domain, req.body.method || null);
+  await domain.recordVerification(result);
+
+  res.status(200).json({
+    success: true,
+    verified: result.verified,
+    message: result.verified
+      ? `${domain.hostname} verified via ${result.method}`
+      : `${domain.hostname} could not be verified: ${result.error}`,
+    domain: formatDomain(domain)
+  });
+});
+
+/**
+ * @desc    Remove a domain
+ * @route   DELETE /api/domains/:hostname
+ * @access  Private
+ */
+const deleteDomain = asyncHandler(async (req, res, next) => {
+  const domain = await findUserDomain(req);
+  await domain.deleteOne();
+
+  logger.info(`Domain ${domain.hostname} removed by user: ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Domain removed'
+  });
+});
+
+module.exports = {
+  addDomain,
+  getDomains,
+  getDomain,
+  verifyDomain,
+  deleteDomain
+};
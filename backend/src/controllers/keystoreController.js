@@ -0,0 +1,156 @@
+const Keystore = require('../models/Keystore');
+const keystoreService = require('../services/keystoreService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Format keystore metadata for API responses (never includes key material)
+ */
+const formatKeystore = (keystore) => ({
+  id: keystore._id,
+  packageName: keystore.packageName,
+  source: keystore.source,
+  storeType: keystore.storeType,
+  keyAlias: keystore.keyAlias,
+  sha1Fingerprint: keystore.certificate?.sha1Fingerprint || null,
+  sha256Fingerprint: keystore.certificate?.sha256Fingerprint || null,
+  lastUsedAt: keystore.lastUsedAt,
+  createdAt: keystore.createdAt
+});
+
+/**
+ * @desc    Upload an existing signing keystore for a package
+ * @route   POST /api/keystores
+ * @access  Private
+ */
+const uploadKeystore = asyncHandler(async (req, res, next) => {
+  const { packageName, storePassword, keyAlias, keyPassword } = req.body;
+
+  if (!req.file) {
+    return next(new AppError('Keystore file is required', 400));
+  }
+
+  const keystore = await keystoreService.importKeystore({
+    packageName,
+    userId: req.user._id,
+    keystoreData: req.file.buffer,
+    storePassword,
+    keyAlias,
+    keyPassword: keyPassword || storePassword
+  });
+
+  logger.info(`Keystore uploaded for ${packageName} by user: ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Keystore uploaded successfully',
+    keystore: formatKeystore(keystore)
+  });
+});
+
+/**
+ * @desc    Get user's keystores
+ * @route   GET /api/keystores
+ * @access  Private
+ */
+const getKeystores = asyncHandler(async (req, res, next) => {
+  const keystores = await Keystore.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: keystores.length,
+    keystores: keystores.map(formatKeystore)
+  });
+});
+
+/**
+ * @desc    Get keystore for a package
+ * @route   GET /api/keystores/:packageName
+ * @access  Private
+ */
+const getKeystore = asyncHandler(async (req, res, next) => {
+  const keystore = await Keystore.findOne({ packageName: req.params.packageName });
+
+  if (!keystore) {
+    return next(new AppError('Keystore not found', 404));
+  }
+
+  // Check if user owns this keystore
+  if (keystore.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to access this keystore', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    keystore: formatKeystore(keystore)
+  });
+});
+
+/**
+ * @desc    Get signing certificate fingerprints for a package
+ * @route   GET /api/keystores/:packageName/fingerprint
+ * @access  Private
+ */
+const getFingerprint = asyncHandler(async (req, res, next) => {
+  const keystore = await Keystore.findOne({ packageName: req.params.packageName });
+
+  if (!keystore) {
+    return next(new AppError('Keystore not found', 404));
+  }
+
+  // Check if user owns this keystore
+  if (keystore.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to access this keystore', 403));
+  }
+
+  const certificate = await keystoreService.ensureFingerprints(keystore);
+
+  res.status(200).json({
+    success: true,
+    fingerprint: {
+      packageName: keystore.packageName,
+      keyAlias: keystore.keyAlias,
+      sha1: certificate.sha1Fingerprint,
+      sha256: certificate.sha256Fingerprint,
+      subject: certificate.subject,
+      validFrom: certificate.validFrom,
+      validTo: certificate.validTo
+    }
+  });
+});
+
+/**
+ * @desc    Export keystore as a zip holding a PKCS12 file protected by the given password
+ * @route   POST /api/keystores/:packageName/export
+ * @access  Private
+ */
+const exportKeystore = asyncHandler(async (req, res, next) => {
+  const keystore = await Keystore.findOne({ packageName: req.params.packageName })
+    .select('+encryptedKeystore +encryptedStorePassword +encryptedKeyPassword');
+
+  if (!keystore) {
+    return next(new AppError('Keystore not found', 404));
+  }
+
+  // Check if user owns this keystore
+  if (keystore.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to export this keystore', 403));
+  }
+
+  const archive = await keystoreService.exportKeystore(keystore, req.body.password);
+
+  logger.info(`Keystore exported for ${keystore.packageName} by user: ${req.user.email}`);
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${keystore.packageName}-keystore.zip"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).send(archive);
+});
+
+module.exports = {
+  uploadKeystore,
+  getKeystores,
+  getKeystore,
+  getFingerprint,
+  exportKeystore
+};
@@ -0,0 +1,63 @@
+const templateRegistry = require('../services/templateRegistry');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Get available Android templates and their versions
+ * @route   GET /api/templates
+ * @access  Private
+ */
+const getTemplates = asyncHandler(async (req, res, next) => {
+  const templates = await templateRegistry.listTemplates();
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    templates
+  });
+});
+
+/**
+ * @desc    Get a single Android template and its versions
+ * @route   GET /api/templates/:name
+ * @access  Private
+ */
+const getTemplate = asyncHandler(async (req, res, next) => {
+  const template = await templateRegistry.getTemplate(req.params.name);
+
+  res.status(200).json({
+    success: true,
+    template
+  });
+});
+
+/**
+ * @desc    Mark a template version as default or deprecated
+ * @route   PATCH /api/templates/:name/versions/:version
+ * @access  Private (admin)
+ */
+const updateTemplateVersion = asyncHandler(async (req, res, next) => {
+  const { isDefault, deprecated, deprecationReason } = req.body;
+
+  if (isDefault === undefined && deprecated === undefined) {
+    return next(new AppError('Nothing to update. Provide isDefault or deprecated.', 400));
+  }
+
+  const template = await templateRegistry.updateVersionStatus(
+    req.params.name,
+    req.params.version,
+    { isDefault, deprecated, deprecationReason },
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Template version updated',
+    template
+  });
+});
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  updateTemplateVersion
+};
@@ -8,12 +8,18 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
+const { attachBuildEventSocket } = require('./services/buildEventSocket');
+const { assertExecutorConfigured } = require('./services/executors');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const buildRoutes = require('./routes/buildRoutes');
 const userRoutes = require('./routes/userRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const keystoreRoutes = require('./routes/keystoreRoutes');
+const domainRoutes = require('./routes/domainRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const bridgeRoutes = require('./routes/bridgeRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const bullBoardRoutes = require('./routes/bullBoardRoutes');
 
@@ -51,13 +57,19 @@ if (process.env.NODE_ENV === 'development') {
   }));
 }
 
-// Static file serving for APK downloads
+// Static file serving for APK/AAB/source downloads
 app.use('/downloads', express.static('builds', {
   maxAge: '1d',
   setHeaders: (res, path) => {
     if (path.endsWith('.apk')) {
       res.setHeader('Content-Type', 'application/vnd.android.package-archive');
       res.setHeader('Content-Disposition', 'attachment');
+    } else if (path.endsWith('.aab')) {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', 'attachment');
+    } else if (path.endsWith('.zip')) {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', 'attachment');
     }
   }
 }));
@@ -68,6 +80,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/builds', buildRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/keystores', keystoreRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/bridge', bridgeRoutes);
 
 // Bull Board - Queue Monitoring Dashboard
 app.use('/admin/queues', bullBoardRoutes);
@@ -113,6 +129,9 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   try {
+    // Configuration errors stop the server before it accepts requests
+    logger.info(`Build executor: ${assertExecutorConfigured()}`);
+
     // Connect to databases
     await connectDB();
     await testRedis();
@@ -122,6 +141,9 @@ const startServer = async () => {
       logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
 
+    // WebSocket variant of the build progress stream
+    attachBuildEventSocket(server);
+
     // Graceful shutdown
     process.on('SIGTERM', () => {
       logger.info('SIGTERM signal received: closing HTTP server');
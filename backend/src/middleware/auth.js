@@ -95,6 +95,27 @@ const requirePro = async (req, res, next) => {
   next();
 };
 
+/**
+ * Check if user is an administrator
+ */
+const requireAdmin = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - Don't fail if no token
  */
@@ -130,5 +151,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   requirePro,
+  requireAdmin,
   optionalAuth
 };
@@ -57,6 +57,23 @@ const buildLimiter = rateLimit({
   legacyHeaders: false
 });
 
+/**
+ * Rate limiter for endpoints that fetch the user's website
+ */
+const siteCheckLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  keyGenerator: (req) => {
+    return req.user ? req.user._id.toString() : req.ip;
+  },
+  message: {
+    success: false,
+    message: 'Too many website checks, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * Download rate limiter
  */
@@ -75,5 +92,6 @@ module.exports = {
   apiLimiter,
   authLimiter,
   buildLimiter,
+  siteCheckLimiter,
   downloadLimiter
 };
@@ -1,5 +1,6 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('./errorHandler');
+const injectionService = require('../services/injectionService');
 
 /**
  * Validation result checker
@@ -13,6 +14,19 @@ const validate = (req, res, next) => {
   next();
 };
 
+/**
+ * Multipart requests send booleans as strings
+ */
+const isEnabled = (value) => value === true || value === 'true';
+
+// Link routing: where links to a host open, and what happens to custom schemes
+const HOST_LINK_ACTIONS = ['inApp', 'browser', 'customTab'];
+const SCHEME_LINK_ACTIONS = ['externalApp', 'block'];
+
+// WebView profile choices, mapped to WebSettings constants when rendering MainActivity
+const WEBVIEW_CACHE_MODES = ['default', 'cacheElseNetwork', 'noCache', 'cacheOnly'];
+const MIXED_CONTENT_POLICIES = ['never', 'compatibility', 'always'];
+
 /**
  * Registration validation rules
  */
@@ -57,13 +71,17 @@ const loginValidation = [
  * Build creation validation rules
  */
 const buildValidation = [
+  // An uploaded site bundle replaces the website
   body('websiteUrl')
+    .if((value, { req }) => value !== undefined || !req.files?.siteBundle)
     .trim()
     .notEmpty().withMessage('Website URL is required')
     .isURL({ protocols: ['http', 'https'], require_protocol: true })
     .withMessage('Please provide a valid URL with http:// or https://'),
   
+  // Optional when importing metadata, which proposes a name from the site
   body('appName')
+    .if((value, { req }) => value !== undefined || !isEnabled(req.body.importMetadata))
     .trim()
     .notEmpty().withMessage('App name is required')
     .isLength({ min: 2, max: 50 }).withMessage('App name must be 2-50 characters')
@@ -75,12 +93,83 @@ const buildValidation = [
     .matches(/^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/)
     .withMessage('Package name must be in format: com.example.app'),
   
+  body('shortName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 }).withMessage('Short name must be 1-30 characters'),
+  
+  body('themeColor')
+    .optional()
+    .trim()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Theme color must be a valid hex color (e.g., #FF5722)'),
+  
+  body('orientation')
+    .optional()
+    .trim()
+    .isIn(['unspecified', 'portrait', 'landscape'])
+    .withMessage('Orientation must be one of: unspecified, portrait, landscape'),
+  
+  body('importMetadata')
+    .optional()
+    .isBoolean().withMessage('importMetadata must be a boolean'),
+  
   body('splashBackground')
     .optional()
     .trim()
     .matches(/^#[0-9A-Fa-f]{6}$/)
     .withMessage('Splash background must be a valid hex color (e.g., #FF5722)'),
   
+  body('splashMinDuration')
+    .optional()
+    .isInt({ min: 0, max: 5000 })
+    .withMessage('Splash minimum duration must be between 0 and 5000 milliseconds')
+    .toInt(),
+  
+  body('splashWaitForPageLoad')
+    .optional()
+    .isBoolean()
+    .withMessage('splashWaitForPageLoad must be a boolean')
+    .toBoolean(),
+  
+  body('iconBackgroundColor')
+    .optional()
+    .trim()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Icon background color must be a valid hex color (e.g., #FF5722)'),
+  
+  body('siteEntryPage')
+    .optional()
+    .trim()
+    .matches(/^(?!\/)(?!.*\.\.)[\w\-./]+\.html?$/)
+    .withMessage('Entry page must be the path of an .html file in the site bundle, e.g. index.html'),
+  
+  body('outputFormat')
+    .optional()
+    .trim()
+    .isIn(['apk', 'aab', 'both', 'source'])
+    .withMessage('Output format must be one of: apk, aab, both, source'),
+  
+  body('template')
+    .optional()
+    .trim()
+    .matches(/^[a-z][a-z0-9-]*$/)
+    .withMessage('Template must be a template name such as webview'),
+  
+  body('templateVersion')
+    .optional()
+    .trim()
+    .matches(/^\d+\.\d+\.\d+$/)
+    .withMessage('Template version must be in format: 1.0.0'),
+  
+  body('preflight')
+    .optional()
+    .isBoolean().withMessage('preflight must be a boolean'),
+  
+  body('forceRebuild')
+    .optional()
+    .isBoolean().withMessage('forceRebuild must be a boolean'),
+  
   body('features.pullToRefresh')
     .optional()
     .isBoolean().withMessage('pullToRefresh must be a boolean'),
@@ -101,6 +190,188 @@ const buildValidation = [
     .optional()
     .isBoolean().withMessage('deepLinking must be a boolean'),
   
+  body('features.geolocation')
+    .optional()
+    .isBoolean().withMessage('geolocation must be a boolean'),
+  
+  body('features.camera')
+    .optional()
+    .isBoolean().withMessage('camera must be a boolean'),
+  
+  body('features.microphone')
+    .optional()
+    .isBoolean().withMessage('microphone must be a boolean'),
+  
+  body(['features.bridgeShare', 'features.bridgeVibrate', 'features.bridgeToast', 'features.bridgeClipboard', 'features.bridgeAppInfo'])
+    .optional()
+    .isBoolean().withMessage('Bridge features must be booleans'),
+  
+  body('bridgeOrigins')
+    .optional()
+    .isArray({ max: 10 }).withMessage('bridgeOrigins must be a list of at most 10 origins'),
+  
+  body('bridgeOrigins.*')
+    .trim()
+    .isURL({ protocols: ['https'], require_protocol: true, require_tld: true })
+    .custom((origin) => new URL(origin).origin === origin.toLowerCase().replace(/\/$/, ''))
+    .withMessage('Bridge origins must be https origins without a path, e.g. https://example.com')
+    .customSanitizer((origin) => new URL(origin).origin),
+  
+  body('deepLinks.hosts')
+    .optional()
+    .isArray({ max: 20 }).withMessage('deepLinks.hosts must be a list of at most 20 hosts'),
+  
+  body('deepLinks.hosts.*.host')
+    .trim()
+    .toLowerCase()
+    .isFQDN({ require_tld: true, allow_underscores: false })
+    .withMessage('Deep link hosts must be domain names such as example.com'),
+  
+  body('deepLinks.hosts.*.pathPrefixes')
+    .optional()
+    .isArray({ max: 20 }).withMessage('pathPrefixes must be a list of at most 20 paths'),
+  
+  body('deepLinks.hosts.*.pathPrefixes.*')
+    .trim()
+    .matches(/^\/[A-Za-z0-9\-._~%!$&'()*+,;=:@\/]*$/)
+    .withMessage('Path prefixes must start with / (e.g. /shop)'),
+  
+  body('deepLinks.schemes')
+    .optional()
+    .isArray({ max: 5 }).withMessage('deepLinks.schemes must be a list of at most 5 schemes'),
+  
+  body('deepLinks.schemes.*')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9+.-]*$/).withMessage('Custom schemes must be URL schemes such as myapp')
+    .not().isIn(['http', 'https', 'file', 'content', 'intent', 'javascript'])
+    .withMessage('Custom schemes cannot be a standard scheme such as https'),
+  
+  body('linkRouting.rules')
+    .optional()
+    .isArray({ max: 50 }).withMessage('linkRouting.rules must be a list of at most 50 rules'),
+  
+  body('linkRouting.rules.*')
+    .custom((rule) => {
+      if (!rule || typeof rule !== 'object' || Boolean(rule.host) === Boolean(rule.scheme)) {
+        throw new Error('Each link rule needs either a host or a scheme');
+      }
+
+      const actions = rule.host ? HOST_LINK_ACTIONS : SCHEME_LINK_ACTIONS;
+      if (!actions.includes(rule.action)) {
+        throw new Error(`${rule.host ? 'Host' : 'Scheme'} link rules need an action of: ${actions.join(', ')}`);
+      }
+
+      return true;
+    }),
+  
+  body('linkRouting.rules.*.host')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/)
+    .withMessage('Link rule hosts must be domain names, optionally starting with *. (e.g. *.example.com)'),
+  
+  body('linkRouting.rules.*.scheme')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9+.-]*$/).withMessage('Link rule schemes must be URL schemes such as tel or intent')
+    .not().isIn(['http', 'https'])
+    .withMessage('Use a host rule for http and https links'),
+  
+  body('linkRouting.otherHosts')
+    .optional()
+    .isIn(HOST_LINK_ACTIONS)
+    .withMessage(`linkRouting.otherHosts must be one of: ${HOST_LINK_ACTIONS.join(', ')}`),
+  
+  body('webViewProfile.userAgentSuffix')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .matches(/^[\x20-\x7E]*$/)
+    .withMessage('webViewProfile.userAgentSuffix must be at most 100 printable ASCII characters'),
+  
+  body('webViewProfile.cacheMode')
+    .optional()
+    .isIn(WEBVIEW_CACHE_MODES)
+    .withMessage(`webViewProfile.cacheMode must be one of: ${WEBVIEW_CACHE_MODES.join(', ')}`),
+  
+  body('webViewProfile.mixedContent')
+    .optional()
+    .isIn(MIXED_CONTENT_POLICIES)
+    .withMessage(`webViewProfile.mixedContent must be one of: ${MIXED_CONTENT_POLICIES.join(', ')}`),
+  
+  body('webViewProfile.textZoom')
+    .optional()
+    .isInt({ min: 50, max: 200 }).withMessage('webViewProfile.textZoom must be a percentage between 50 and 200')
+    .toInt(),
+  
+  body(['webViewProfile.zoom', 'webViewProfile.fileAccess', 'webViewProfile.thirdPartyCookies', 'webViewProfile.domStorage'])
+    .optional()
+    .isBoolean().withMessage('webViewProfile switches must be booleans'),
+  
+  body('features.localStorage')
+    .optional()
+    .isBoolean().withMessage('localStorage must be a boolean'),
+  
+  body('injections')
+    .optional()
+    .isArray({ max: injectionService.MAX_INJECTIONS })
+    .withMessage(`injections must be a list of at most ${injectionService.MAX_INJECTIONS} snippets`)
+    .custom((injections) => {
+      const total = injections.reduce((sum, injection) => sum + String(injection?.code || '').length, 0);
+      if (total > injectionService.MAX_TOTAL_LENGTH) {
+        throw new Error(`Injected snippets may be at most ${injectionService.MAX_TOTAL_LENGTH} characters in total`);
+      }
+      return true;
+    }),
+  
+  body('injections.*.type')
+    .isIn(['css', 'js']).withMessage('Injection type must be css or js'),
+  
+  body('injections.*.runAt')
+    .optional()
+    .isIn(['documentStart', 'pageFinished']).withMessage('Injection runAt must be documentStart or pageFinished'),
+  
+  body('injections.*.code')
+    .isString()
+    .isLength({ min: 1, max: injectionService.MAX_SNIPPET_LENGTH })
+    .withMessage(`Injected snippets must be 1-${injectionService.MAX_SNIPPET_LENGTH} characters`),
+  
+  body('injections.*')
+    .custom((injection) => {
+      const error = injection?.type === 'js' && typeof injection.code === 'string'
+        ? injectionService.findSyntaxError(injection.code)
+        : null;
+      if (error) {
+        throw new Error(`Injected JavaScript has a syntax error: ${error}`);
+      }
+      return true;
+    }),
+  
+  body('injections.*.urlPatterns')
+    .optional()
+    .isArray({ max: 10 }).withMessage('urlPatterns must be a list of at most 10 patterns'),
+  
+  body('injections.*.urlPatterns.*')
+    .trim()
+    .matches(/^https?:\/\/\S+$/)
+    .withMessage('URL patterns must be http(s) URLs where * matches anything, e.g. https://example.com/shop/*'),
+  
+  validate
+];
+
+/**
+ * Website URL validation for site checks (metadata import, preflight)
+ */
+const websiteUrlValidation = [
+  body('websiteUrl')
+    .trim()
+    .notEmpty().withMessage('Website URL is required')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Please provide a valid URL with http:// or https://'),
+  
   validate
 ];
 
@@ -116,6 +387,214 @@ const buildIdValidation = [
   validate
 ];
 
+/**
+ * Build artifact download validation
+ */
+const downloadValidation = [
+  param('buildId')
+    .trim()
+    .notEmpty().withMessage('Build ID is required')
+    .isUUID().withMessage('Invalid build ID format'),
+  
+  query('artifact')
+    .optional()
+    .isIn(['apk', 'aab', 'source'])
+    .withMessage('Artifact must be one of: apk, aab, source'),
+  
+  validate
+];
+
+/**
+ * Build log validation
+ */
+const buildLogsValidation = [
+  param('buildId')
+    .trim()
+    .notEmpty().withMessage('Build ID is required')
+    .isUUID().withMessage('Invalid build ID format'),
+  
+  query('follow')
+    .optional()
+    .isBoolean().withMessage('follow must be a boolean'),
+  
+  validate
+];
+
+/**
+ * Asset links validation - extra fingerprints are the Play App Signing key's,
+ * comma separated, and host merges with the file that host already serves
+ */
+const assetLinksValidation = [
+  param('buildId')
+    .trim()
+    .notEmpty().withMessage('Build ID is required')
+    .isUUID().withMessage('Invalid build ID format'),
+  
+  query('fingerprints')
+    .optional()
+    .custom((value) => String(value).split(',').every((fingerprint) => /^([0-9A-Fa-f]{2}:?){31}[0-9A-Fa-f]{2}$/.test(fingerprint.trim())))
+    .withMessage('fingerprints must be comma separated SHA-256 certificate fingerprints'),
+  
+  query('host')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isFQDN().withMessage('Invalid host'),
+  
+  validate
+];
+
+/**
+ * Template name param validation
+ */
+const templateNameValidation = [
+  param('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9-]*$/)
+    .withMessage('Invalid template name'),
+  
+  validate
+];
+
+/**
+ * Native bridge version validation rules
+ */
+const bridgeVersionValidation = [
+  param('version')
+    .matches(/^\d+\.\d+\.\d+$/)
+    .withMessage('Bridge version must be in format: 1.0.0'),
+  
+  validate
+];
+
+/**
+ * Template version status update validation rules
+ */
+const templateVersionUpdateValidation = [
+  param('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9-]*$/)
+    .withMessage('Invalid template name'),
+  
+  param('version')
+    .trim()
+    .matches(/^\d+\.\d+\.\d+$/)
+    .withMessage('Template version must be in format: 1.0.0'),
+  
+  body('isDefault')
+    .optional()
+    .isBoolean().withMessage('isDefault must be a boolean')
+    .toBoolean(),
+  
+  body('deprecated')
+    .optional()
+    .isBoolean().withMessage('deprecated must be a boolean')
+    .toBoolean(),
+  
+  body('deprecationReason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Deprecation reason cannot exceed 500 characters'),
+  
+  validate
+];
+
+/**
+ * Keystore upload validation rules
+ */
+const keystoreUploadValidation = [
+  body('packageName')
+    .trim()
+    .notEmpty().withMessage('Package name is required')
+    .matches(/^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/)
+    .withMessage('Package name must be in format: com.example.app'),
+  
+  body('storePassword')
+    .notEmpty().withMessage('Keystore password is required')
+    .isLength({ min: 6, max: 128 }).withMessage('Keystore password must be 6-128 characters'),
+  
+  body('keyAlias')
+    .trim()
+    .notEmpty().withMessage('Key alias is required')
+    .isLength({ max: 100 }).withMessage('Key alias cannot exceed 100 characters'),
+  
+  body('keyPassword')
+    .optional()
+    .isLength({ min: 6, max: 128 }).withMessage('Key password must be 6-128 characters'),
+  
+  validate
+];
+
+/**
+ * Keystore export validation rules
+ */
+const keystoreExportValidation = [
+  param('packageName')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/)
+    .withMessage('Invalid package name format'),
+  
+  body('password')
+    .notEmpty().withMessage('Export password is required')
+    .isLength({ min: 8, max: 128 }).withMessage('Export password must be 8-128 characters'),
+  
+  validate
+];
+
+/**
+ * Package name param validation
+ */
+const packageNameValidation = [
+  param('packageName')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/)
+    .withMessage('Invalid package name format'),
+  
+  validate
+];
+
+/**
+ * Domain creation validation
+ */
+const domainValidation = [
+  body('hostname')
+    .trim()
+    .toLowerCase()
+    .isFQDN({ require_tld: true, allow_underscores: false })
+    .withMessage('Hostname must be a domain name such as example.com'),
+  
+  validate
+];
+
+/**
+ * Domain hostname param validation
+ */
+const domainHostnameValidation = [
+  param('hostname')
+    .trim()
+    .toLowerCase()
+    .isFQDN().withMessage('Invalid hostname'),
+  
+  validate
+];
+
+/**
+ * Domain verification validation
+ */
+const domainVerifyValidation = [
+  param('hostname')
+    .trim()
+    .toLowerCase()
+    .isFQDN().withMessage('Invalid hostname'),
+  
+  body('method')
+    .optional()
+    .isIn(['dns', 'meta', 'file'])
+    .withMessage('Method must be one of: dns, meta, file'),
+  
+  validate
+];
+
 /**
  * Email validation
  */
@@ -151,7 +630,20 @@ module.exports = {
   registerValidation,
   loginValidation,
   buildValidation,
+  websiteUrlValidation,
   buildIdValidation,
+  downloadValidation,
+  buildLogsValidation,
+  assetLinksValidation,
+  keystoreUploadValidation,
+  keystoreExportValidation,
+  packageNameValidation,
+  templateNameValidation,
+  templateVersionUpdateValidation,
+  bridgeVersionValidation,
+  domainValidation,
+  domainHostnameValidation,
+  domainVerifyValidation,
   emailValidation,
   resetPasswordValidation
 };
@@ -39,6 +39,21 @@ const buildSchema = new mongoose.Schema({
       type: String,
       default: '1.0.0'
     },
+    shortName: {
+      type: String,
+      trim: true,
+      maxlength: 30,
+      default: null
+    },
+    themeColor: {
+      type: String,
+      default: '#6200EE'
+    },
+    orientation: {
+      type: String,
+      enum: ['unspecified', 'portrait', 'landscape'],
+      default: 'unspecified'
+    },
     splashBackground: {
       type: String,
       default: '#FFFFFF'
@@ -47,9 +62,169 @@ const buildSchema = new mongoose.Schema({
       type: String,
       default: null
     },
+    splashBranding: {
+      type: String,
+      default: null
+    },
+    splashMinDuration: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5000
+    },
+    splashWaitForPageLoad: {
+      type: Boolean,
+      default: false
+    },
     appIcon: {
       type: String,
       default: null
+    },
+    // Adaptive icon layers - the foreground defaults to appIcon and the
+    // monochrome layer is derived from it when not uploaded
+    iconForeground: {
+      type: String,
+      default: null
+    },
+    iconBackground: {
+      type: String,
+      default: null
+    },
+    iconBackgroundColor: {
+      type: String,
+      default: '#FFFFFF'
+    },
+    iconMonochrome: {
+      type: String,
+      default: null
+    },
+    // Uploaded static site served offline from the app's assets - websiteUrl
+    // then points at the entry page on the local asset origin
+    siteBundle: {
+      type: String,
+      default: null
+    },
+    siteEntryPage: {
+      type: String,
+      default: null
+    },
+    // Links the app opens when features.deepLinking is on: https hosts (App
+    // Links, optionally limited to path prefixes) and custom URL schemes
+    deepLinks: {
+      hosts: [{
+        _id: false,
+        host: {
+          type: String,
+          lowercase: true,
+          trim: true
+        },
+        pathPrefixes: {
+          type: [String],
+          default: []
+        }
+      }],
+      schemes: {
+        type: [String],
+        default: []
+      }
+    },
+    // Where links open: rules match a host (inApp, browser, customTab) or a
+    // scheme (externalApp, block); otherHosts covers unmatched foreign hosts
+    linkRouting: {
+      rules: [{
+        _id: false,
+        host: {
+          type: String,
+          default: null
+        },
+        scheme: {
+          type: String,
+          default: null
+        },
+        action: {
+          type: String,
+          enum: ['inApp', 'browser', 'customTab', 'externalApp', 'block'],
+          required: true
+        }
+      }],
+      otherHosts: {
+        type: String,
+        enum: ['inApp', 'browser', 'customTab'],
+        default: 'inApp'
+      }
+    },
+    // User CSS and JavaScript injected into the app's own pages, optionally
+    // only on URLs matching urlPatterns (* matches anything)
+    injections: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['css', 'js'],
+        required: true
+      },
+      code: {
+        type: String,
+        required: true,
+        maxlength: 20000
+      },
+      runAt: {
+        type: String,
+        enum: ['documentStart', 'pageFinished'],
+        default: 'pageFinished'
+      },
+      urlPatterns: {
+        type: [String],
+        default: []
+      }
+    }],
+    // WebView settings - the defaults are the secure choice for each
+    webViewProfile: {
+      userAgentSuffix: {
+        type: String,
+        default: '',
+        maxlength: 100
+      },
+      cacheMode: {
+        type: String,
+        enum: ['default', 'cacheElseNetwork', 'noCache', 'cacheOnly'],
+        default: 'default'
+      },
+      zoom: {
+        type: Boolean,
+        default: false
+      },
+      // Text size in percent
+      textZoom: {
+        type: Number,
+        min: 50,
+        max: 200,
+        default: 100
+      },
+      mixedContent: {
+        type: String,
+        enum: ['never', 'compatibility', 'always'],
+        default: 'never'
+      },
+      // file:// and content:// URLs in the WebView
+      fileAccess: {
+        type: Boolean,
+        default: false
+      },
+      thirdPartyCookies: {
+        type: Boolean,
+        default: false
+      },
+      // localStorage, sessionStorage and IndexedDB - kept in sync with features.localStorage
+      domStorage: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Origins whose pages may use the native bridge - the app's own
+    // origins (website and deep link hosts) when empty
+    bridgeOrigins: {
+      type: [String],
+      default: []
     }
   },
   // Feature Flags
@@ -82,11 +257,58 @@ const buildSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    camera: {
+      type: Boolean,
+      default: false
+    },
+    microphone: {
+      type: Boolean,
+      default: false
+    },
+    // Native bridge (window.Web2APK) capabilities
+    bridgeShare: {
+      type: Boolean,
+      default: false
+    },
+    bridgeVibrate: {
+      type: Boolean,
+      default: false
+    },
+    bridgeToast: {
+      type: Boolean,
+      default: false
+    },
+    bridgeClipboard: {
+      type: Boolean,
+      default: false
+    },
+    bridgeAppInfo: {
+      type: Boolean,
+      default: false
+    },
     localStorage: {
       type: Boolean,
       default: true
     }
   },
+  // Android template version the build was generated from
+  template: {
+    name: {
+      type: String,
+      default: null
+    },
+    version: {
+      type: String,
+      default: null
+    }
+  },
+  
+  // Output Format (APK for sideloading, AAB for Google Play, source for Android Studio)
+  outputFormat: {
+    type: String,
+    enum: ['apk', 'aab', 'both', 'source'],
+    default: 'apk'
+  },
   // Build Status
   status: {
     type: String,
@@ -125,6 +347,58 @@ const buildSchema = new mongoose.Schema({
     cloudinaryPublicId: {
       type: String,
       default: null
+    },
+    aabPath: {
+      type: String,
+      default: null
+    },
+    aabSize: {
+      type: Number,
+      default: null
+    },
+    aabDownloadUrl: {
+      type: String,
+      default: null
+    },
+    aabCloudinaryPublicId: {
+      type: String,
+      default: null
+    },
+    sourcePath: {
+      type: String,
+      default: null
+    },
+    sourceSize: {
+      type: Number,
+      default: null
+    },
+    sourceDownloadUrl: {
+      type: String,
+      default: null
+    },
+    sourceCloudinaryPublicId: {
+      type: String,
+      default: null
+    }
+  },
+  // Signing certificate used for the artifacts in output
+  signing: {
+    keystore: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Keystore',
+      default: null
+    },
+    keyAlias: {
+      type: String,
+      default: null
+    },
+    sha1Fingerprint: {
+      type: String,
+      default: null
+    },
+    sha256Fingerprint: {
+      type: String,
+      default: null
     }
   },
   // Build Metadata
@@ -140,6 +414,35 @@ const buildSchema = new mongoose.Schema({
     duration: {
       type: Number, // in milliseconds
       default: null
+    },
+    // Time spent in each phase, in milliseconds
+    phases: {
+      queueWait: {
+        type: Number,
+        default: null
+      },
+      prepare: {
+        type: Number,
+        default: null
+      },
+      compile: {
+        type: Number,
+        default: null
+      },
+      sign: {
+        type: Number,
+        default: null
+      },
+      store: {
+        type: Number,
+        default: null
+      }
+    },
+    // Whether Gradle reused a running daemon ('warm') or had to start one ('cold')
+    gradleDaemon: {
+      type: String,
+      enum: ['warm', 'cold', 'disabled', null],
+      default: null
     }
   },
   // Error Information
@@ -209,6 +512,21 @@ const buildSchema = new mongoose.Schema({
   hasWatermark: {
     type: Boolean,
     default: true
+  },
+  // Hash of every input that determines the build output (see buildCacheService)
+  configHash: {
+    type: String,
+    default: null
+  },
+  // Build satisfied from an identical earlier build's artifacts
+  cacheHit: {
+    type: Boolean,
+    default: false
+  },
+  reusedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Build',
+    default: null
   }
 }, {
   timestamps: true,
@@ -219,6 +537,7 @@ const buildSchema = new mongoose.Schema({
 // Indexes for performance
 buildSchema.index({ user: 1, createdAt: -1 });
 buildSchema.index({ status: 1, createdAt: -1 });
+buildSchema.index({ user: 1, configHash: 1 });
 buildSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 // Virtual for build duration in human-readable format
@@ -239,12 +558,48 @@ buildSchema.virtual('apkSizeFormatted').get(function() {
   return `${mb} MB`;
 });
 
+// Virtual for AAB size in human-readable format
+buildSchema.virtual('aabSizeFormatted').get(function() {
+  if (!this.output.aabSize) return null;
+  const mb = (this.output.aabSize / (1024 * 1024)).toFixed(2);
+  return `${mb} MB`;
+});
+
+// Virtual for source archive size in human-readable format
+buildSchema.virtual('sourceSizeFormatted').get(function() {
+  if (!this.output.sourceSize) return null;
+  const mb = (this.output.sourceSize / (1024 * 1024)).toFixed(2);
+  return `${mb} MB`;
+});
+
 // Method to check if build is expired
 buildSchema.methods.isExpired = function() {
   if (!this.expiresAt) return false;
   return new Date() > this.expiresAt;
 };
 
+// Download details for each artifact a build can produce
+const ARTIFACT_TYPES = {
+  apk: { field: 'apkPath', suffix: '', extension: 'apk', contentType: 'application/vnd.android.package-archive' },
+  aab: { field: 'aabPath', suffix: '', extension: 'aab', contentType: 'application/octet-stream' },
+  source: { field: 'sourcePath', suffix: '-source', extension: 'zip', contentType: 'application/zip' }
+};
+
+// Method to resolve a downloadable artifact (defaults to the one the build produced)
+buildSchema.methods.getArtifact = function(type) {
+  const artifactType = type || (this.outputFormat === 'both' ? 'apk' : this.outputFormat);
+  const descriptor = ARTIFACT_TYPES[artifactType] || ARTIFACT_TYPES.apk;
+  const baseName = this.appConfig.appName.replace(/[^a-z0-9]/gi, '_');
+
+  return {
+    type: artifactType,
+    label: artifactType === 'source' ? 'Source archive' : artifactType.toUpperCase(),
+    path: this.output[descriptor.field],
+    fileName: `${baseName}${descriptor.suffix}.${descriptor.extension}`,
+    contentType: descriptor.contentType
+  };
+};
+
 // Method to increment download count
 buildSchema.methods.incrementDownloadCount = async function() {
   this.stats.downloadCount += 1;
@@ -259,26 +614,84 @@ buildSchema.methods.updateProgress = async function(progress, step) {
   await this.save();
 };
 
-// Method to mark as completed
-buildSchema.methods.markCompleted = async function(apkPath, apkSize, downloadUrl, cloudinaryPublicId = null) {
+// Method to mark as completed. Resolves to false, without changing the
+// stored build, if it was cancelled in the meantime.
+buildSchema.methods.markCompleted = async function(artifacts) {
   this.status = 'completed';
   this.progress = 100;
   this.currentStep = 'Build completed successfully';
-  this.output.apkPath = apkPath;
-  this.output.apkSize = apkSize;
-  this.output.downloadUrl = downloadUrl;
-  this.output.cloudinaryPublicId = cloudinaryPublicId;
+  this.output.apkPath = artifacts.apkPath || null;
+  this.output.apkSize = artifacts.apkSize || null;
+  this.output.downloadUrl = artifacts.downloadUrl || null;
+  this.output.cloudinaryPublicId = artifacts.cloudinaryPublicId || null;
+  this.output.aabPath = artifacts.aabPath || null;
+  this.output.aabSize = artifacts.aabSize || null;
+  this.output.aabDownloadUrl = artifacts.aabDownloadUrl || null;
+  this.output.aabCloudinaryPublicId = artifacts.aabCloudinaryPublicId || null;
+  this.output.sourcePath = artifacts.sourcePath || null;
+  this.output.sourceSize = artifacts.sourceSize || null;
+  this.output.sourceDownloadUrl = artifacts.sourceDownloadUrl || null;
+  this.output.sourceCloudinaryPublicId = artifacts.sourceCloudinaryPublicId || null;
+  if (artifacts.signing) {
+    this.signing = artifacts.signing;
+  }
+  if (artifacts.timings) {
+    Object.assign(this.buildTime.phases, artifacts.timings);
+  }
+  this.buildTime.gradleDaemon = artifacts.gradleDaemon || null;
   this.buildTime.completedAt = new Date();
   this.buildTime.duration = this.buildTime.completedAt - this.buildTime.startedAt;
-  
-  // Set expiry based on subscription
+  this.applyRetention();
+
+  // A single conditional update, so a cancellation that lands while the
+  // build finishes is never overwritten
+  const completed = await this.constructor.findOneAndUpdate(
+    { buildId: this.buildId, status: { $ne: 'cancelled' } },
+    this.getChanges(),
+    { new: true }
+  );
+
+  return completed !== null;
+};
+
+// Method to set expiry based on subscription
+buildSchema.methods.applyRetention = function() {
   const retentionDays = this.isPremium 
     ? parseInt(process.env.APK_RETENTION_DAYS_PRO) || 365
     : parseInt(process.env.APK_RETENTION_DAYS_FREE) || 1;
   
   this.expiresAt = new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000);
-  
-  await this.save();
+};
+
+// Method to complete a build with the artifacts of an identical earlier build
+buildSchema.methods.completeFromCache = function(source) {
+  this.status = 'completed';
+  this.progress = 100;
+  this.currentStep = 'Reused artifacts from an identical build';
+  this.output = source.output;
+  this.signing = source.signing;
+  this.cacheHit = true;
+  this.reusedFrom = source._id;
+  this.buildTime.startedAt = new Date();
+  this.buildTime.completedAt = this.buildTime.startedAt;
+  this.buildTime.duration = 0;
+  this.applyRetention();
+};
+
+// Method to check whether another live build serves the same artifact file
+// (cache hits share their source build's files)
+buildSchema.methods.isArtifactShared = async function(artifactPath) {
+  const shared = await this.constructor.exists({
+    _id: { $ne: this._id },
+    isDeleted: false,
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { 'output.apkPath': artifactPath },
+      { 'output.aabPath': artifactPath },
+      { 'output.sourcePath': artifactPath }
+    ]
+  });
+  return Boolean(shared);
 };
 
 // Method to mark as failed
@@ -304,8 +717,11 @@ buildSchema.statics.cleanupExpired = async function() {
   
   for (const build of expiredBuilds) {
     try {
-      if (build.output.apkPath) {
-        await fs.unlink(build.output.apkPath);
+      for (const artifactPath of [build.output.apkPath, build.output.aabPath, build.output.sourcePath]) {
+        if (artifactPath && !artifactPath.startsWith('https://') && !await build.isArtifactShared(artifactPath)) {
+          // A build sharing this file may have removed it already
+          await fs.rm(artifactPath, { force: true });
+        }
       }
       build.isDeleted = true;
       await build.save();
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const buildLogSchema = new mongoose.Schema({
+  build: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Build',
+    default: null
+  },
+  buildId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Gzip-compressed log text
+  data: {
+    type: Buffer,
+    required: true
+  },
+  lineCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of lines dropped from the start of the log because of the size cap
+  droppedLines: {
+    type: Number,
+    default: 0
+  },
+  uncompressedSize: {
+    type: Number,
+    default: 0
+  },
+  compressedSize: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+buildLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+const BuildLog = mongoose.model('BuildLog', buildLogSchema);
+
+module.exports = BuildLog;
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Where the verification token has to be published for each method
+const VERIFICATION_PREFIX = 'web2apk-verification';
+const WELL_KNOWN_PATH = '/.well-known/web2apk-verification.txt';
+
+const domainSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  hostname: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Each user proves ownership with their own token, so several accounts can
+  // claim a domain without being able to piggyback on each other
+  verificationToken: {
+    type: String,
+    required: true,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'failed'],
+    default: 'pending'
+  },
+  verificationMethod: {
+    type: String,
+    enum: ['dns', 'meta', 'file'],
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+domainSchema.index({ user: 1, hostname: 1 }, { unique: true });
+
+// Instructions for each way of proving ownership
+domainSchema.virtual('instructions').get(function() {
+  const value = `${VERIFICATION_PREFIX}=${this.verificationToken}`;
+
+  return {
+    dns: {
+      type: 'TXT',
+      name: this.hostname,
+      value
+    },
+    meta: {
+      url: `https://${this.hostname}/`,
+      name: VERIFICATION_PREFIX,
+      content: this.verificationToken,
+      tag: `<meta name="${VERIFICATION_PREFIX}" content="${this.verificationToken}">`
+    },
+    file: {
+      url: `https://${this.hostname}${WELL_KNOWN_PATH}`,
+      content: value
+    }
+  };
+});
+
+// Method to record the outcome of a verification attempt
+domainSchema.methods.recordVerification = async function(result) {
+  this.lastCheckedAt = new Date();
+
+  if (result.verified) {
+    this.status = 'verified';
+    this.verificationMethod = result.method;
+    this.verifiedAt = new Date();
+    this.lastError = null;
+  } else if (this.status !== 'verified') {
+    // A failed re-check keeps an earlier verification
+    this.status = 'failed';
+    this.lastError = result.error;
+  } else {
+    this.lastError = result.error;
+  }
+
+  await this.save();
+};
+
+// Static to find a verified domain covering a hostname - verifying
+// example.com also covers www.example.com and app.example.com
+domainSchema.statics.findVerifiedFor = function(userId, hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  const candidates = labels.slice(0, -1).map((label, index) => labels.slice(index).join('.'));
+
+  return this.findOne({
+    user: userId,
+    hostname: { $in: candidates },
+    status: 'verified'
+  });
+};
+
+const Domain = mongoose.model('Domain', domainSchema);
+
+module.exports = Domain;
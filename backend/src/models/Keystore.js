@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { decrypt, decryptString } = require('../utils/encryption');
+
+const keystoreSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // One signing identity per application ID
+  packageName: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/
+  },
+  source: {
+    type: String,
+    enum: ['generated', 'uploaded'],
+    default: 'generated'
+  },
+  storeType: {
+    type: String,
+    enum: ['PKCS12', 'JKS'],
+    default: 'PKCS12'
+  },
+  keyAlias: {
+    type: String,
+    required: true
+  },
+  // Encrypted at rest (AES-256-GCM, see utils/encryption)
+  encryptedKeystore: {
+    type: String,
+    required: true,
+    select: false
+  },
+  encryptedStorePassword: {
+    type: String,
+    required: true,
+    select: false
+  },
+  encryptedKeyPassword: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Signing certificate details (used for Play App Signing and Digital Asset Links)
+  certificate: {
+    sha1Fingerprint: {
+      type: String,
+      default: null
+    },
+    sha256Fingerprint: {
+      type: String,
+      default: null
+    },
+    subject: {
+      type: String,
+      default: null
+    },
+    validFrom: {
+      type: Date,
+      default: null
+    },
+    validTo: {
+      type: Date,
+      default: null
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Method to decrypt the signing credentials (requires the encrypted fields to be selected)
+keystoreSchema.methods.getCredentials = function() {
+  return {
+    keystore: decrypt(this.encryptedKeystore),
+    storePassword: decryptString(this.encryptedStorePassword),
+    keyPassword: decryptString(this.encryptedKeyPassword),
+    keyAlias: this.keyAlias,
+    storeType: this.storeType
+  };
+};
+
+// Method to record keystore usage
+keystoreSchema.methods.markUsed = async function() {
+  this.lastUsedAt = new Date();
+  await this.save();
+};
+
+// Remove encrypted material when converting to JSON
+keystoreSchema.methods.toJSON = function() {
+  const keystore = this.toObject();
+  delete keystore.encryptedKeystore;
+  delete keystore.encryptedStorePassword;
+  delete keystore.encryptedKeyPassword;
+  return keystore;
+};
+
+const Keystore = mongoose.model('Keystore', keystoreSchema);
+
+module.exports = Keystore;
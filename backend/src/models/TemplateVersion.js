@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Admin-controlled status of a template version. The template files and
+// descriptor live on disk; this only records which version is the default
+// and which versions are deprecated.
+const templateVersionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  deprecated: {
+    type: Boolean,
+    default: false
+  },
+  deprecationReason: {
+    type: String,
+    default: null
+  },
+  deprecatedAt: {
+    type: Date,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+templateVersionSchema.index({ name: 1, version: 1 }, { unique: true });
+
+const TemplateVersion = mongoose.model('TemplateVersion', templateVersionSchema);
+
+module.exports = TemplateVersion;
@@ -77,6 +77,11 @@ const userSchema = new mongoose.Schema({
       default: () => new Date()
     }
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -165,6 +170,36 @@ userSchema.methods.incrementBuildCount = async function() {
   await this.save();
 };
 
+// Method to refund a build that was cancelled before it finished
+userSchema.methods.refundBuildCount = async function(buildCreatedAt) {
+  // Only builds counted in the current monthly period are refunded
+  const monthResetDate = new Date(this.usage.monthResetDate);
+  const createdAt = new Date(buildCreatedAt);
+
+  if (createdAt.getMonth() !== monthResetDate.getMonth() ||
+      createdAt.getFullYear() !== monthResetDate.getFullYear()) {
+    return;
+  }
+
+  this.usage.buildsThisMonth = Math.max(0, this.usage.buildsThisMonth - 1);
+  await this.save();
+};
+
+// Method to check if builds need a verified domain (DOMAIN_VERIFICATION_REQUIRED_PLANS,
+// comma separated, e.g. "free,pro"; no plan requires it by default and admins are exempt)
+userSchema.methods.requiresDomainVerification = function() {
+  if (this.role === 'admin') {
+    return false;
+  }
+
+  const plans = (process.env.DOMAIN_VERIFICATION_REQUIRED_PLANS || '')
+    .split(',')
+    .map((plan) => plan.trim())
+    .filter(Boolean);
+
+  return plans.includes(this.subscription.plan);
+};
+
 // Method to get remaining builds
 userSchema.methods.getRemainingBuilds = function() {
   const maxBuilds = this.subscription.plan === 'pro' 
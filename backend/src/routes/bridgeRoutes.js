@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBridge,
+  getTypeDeclaration
+} = require('../controllers/bridgeController');
+const { bridgeVersionValidation } = require('../middleware/validation');
+
+// Routes
+router.get('/', getBridge);
+router.get('/:version/web2apk.d.ts', bridgeVersionValidation, getTypeDeclaration);
+
+module.exports = router;
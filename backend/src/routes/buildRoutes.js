@@ -2,18 +2,33 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const {
   createBuild,
+  importSiteMetadata,
+  runPreflight,
   getBuildStatus,
   downloadAPK,
   getUserBuilds,
   deleteBuild,
-  cancelBuild
+  cancelBuild,
+  getBuildLogs,
+  getBuildEvents,
+  getAssetLinks
 } = require('../controllers/buildController');
 const { protect } = require('../middleware/auth');
-const { buildLimiter, downloadLimiter } = require('../middleware/rateLimiter');
-const { buildValidation, buildIdValidation } = require('../middleware/validation');
+const { AppError } = require('../middleware/errorHandler');
+const { MAX_BUNDLE_BYTES } = require('../services/siteBundleService');
+const { buildLimiter, siteCheckLimiter, downloadLimiter } = require('../middleware/rateLimiter');
+const {
+  buildValidation,
+  websiteUrlValidation,
+  buildIdValidation,
+  downloadValidation,
+  buildLogsValidation,
+  assetLinksValidation
+} = require('../middleware/validation');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -26,7 +41,21 @@ const storage = multer.diskStorage({
   }
 });
 
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+
 const fileFilter = (req, file, cb) => {
+  // The static site bundle is a zip, every other upload is an image
+  if (file.fieldname === 'siteBundle') {
+    const allowedZipTypes = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+    if (allowedZipTypes.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. The site bundle must be a .zip file.'), false);
+    }
+    return;
+  }
+
   const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg'];
   
   if (allowedTypes.includes(file.mimetype)) {
@@ -39,11 +68,24 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
+    fileSize: Math.max(MAX_IMAGE_SIZE, MAX_BUNDLE_BYTES)
   },
   fileFilter
 });
 
+// The multer limit has room for site bundles, so hold images to their own limit
+const checkImageSizes = async (req, res, next) => {
+  const files = Object.entries(req.files || {}).flatMap(([field, list]) => list.map((file) => ({ field, file })));
+  const oversized = files.find(({ field, file }) => field !== 'siteBundle' && file.size > MAX_IMAGE_SIZE);
+
+  if (!oversized) {
+    return next();
+  }
+
+  await Promise.all(files.map(({ file }) => fs.unlink(file.path).catch(() => {})));
+  next(new AppError(`${oversized.field} is too large (max ${MAX_IMAGE_SIZE / (1024 * 1024)} MB)`, 400));
+};
+
 // Routes
 router.post(
   '/create',
@@ -51,15 +93,26 @@ router.post(
   buildLimiter,
   upload.fields([
     { name: 'appIcon', maxCount: 1 },
-    { name: 'splashImage', maxCount: 1 }
+    { name: 'iconForeground', maxCount: 1 },
+    { name: 'iconBackground', maxCount: 1 },
+    { name: 'iconMonochrome', maxCount: 1 },
+    { name: 'splashImage', maxCount: 1 },
+    { name: 'splashBranding', maxCount: 1 },
+    { name: 'siteBundle', maxCount: 1 }
   ]),
+  checkImageSizes,
   buildValidation,
   createBuild
 );
 
+router.post('/import-metadata', protect, siteCheckLimiter, websiteUrlValidation, importSiteMetadata);
+router.post('/preflight', protect, siteCheckLimiter, websiteUrlValidation, runPreflight);
 router.get('/', protect, getUserBuilds);
 router.get('/:buildId', protect, buildIdValidation, getBuildStatus);
-router.get('/:buildId/download', protect, downloadLimiter, buildIdValidation, downloadAPK);
+router.get('/:buildId/download', protect, downloadLimiter, downloadValidation, downloadAPK);
+router.get('/:buildId/logs', protect, buildLogsValidation, getBuildLogs);
+router.get('/:buildId/events', protect, buildIdValidation, getBuildEvents);
+router.get('/:buildId/assetlinks', protect, assetLinksValidation, getAssetLinks);
 router.delete('/:buildId', protect, buildIdValidation, deleteBuild);
 router.post('/:buildId/cancel', protect, buildIdValidation, cancelBuild);
 
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  addDomain,
+  getDomains,
+  getDomain,
+  verifyDomain,
+  deleteDomain
+} = require('../controllers/domainController');
+const { protect } = require('../middleware/auth');
+const { siteCheckLimiter } = require('../middleware/rateLimiter');
+const {
+  domainValidation,
+  domainHostnameValidation,
+  domainVerifyValidation
+} = require('../middleware/validation');
+
+// Routes
+router.post('/', protect, domainValidation, addDomain);
+router.get('/', protect, getDomains);
+router.get('/:hostname', protect, domainHostnameValidation, getDomain);
+router.post('/:hostname/verify', protect, siteCheckLimiter, domainVerifyValidation, verifyDomain);
+router.delete('/:hostname', protect, domainHostnameValidation, deleteDomain);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const {
+  uploadKeystore,
+  getKeystores,
+  getKeystore,
+  getFingerprint,
+  exportKeystore
+} = require('../controllers/keystoreController');
+const { protect } = require('../middleware/auth');
+const { downloadLimiter } = require('../middleware/rateLimiter');
+const {
+  keystoreUploadValidation,
+  keystoreExportValidation,
+  packageNameValidation
+} = require('../middleware/validation');
+
+// Keystores are kept in memory only - they are encrypted before being stored
+const fileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.jks', '.keystore', '.p12', '.pfx'];
+
+  if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only .jks, .keystore, .p12 and .pfx files are allowed.'), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB
+  },
+  fileFilter
+});
+
+// Routes
+router.post('/', protect, upload.single('keystore'), keystoreUploadValidation, uploadKeystore);
+router.get('/', protect, getKeystores);
+router.get('/:packageName', protect, packageNameValidation, getKeystore);
+router.get('/:packageName/fingerprint', protect, packageNameValidation, getFingerprint);
+router.post('/:packageName/export', protect, downloadLimiter, keystoreExportValidation, exportKeystore);
+
+module.exports = router;
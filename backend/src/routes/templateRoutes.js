@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  updateTemplateVersion
+} = require('../controllers/templateController');
+const { protect, requireAdmin } = require('../middleware/auth');
+const {
+  templateNameValidation,
+  templateVersionUpdateValidation
+} = require('../middleware/validation');
+
+// Routes
+router.get('/', protect, getTemplates);
+router.get('/:name', protect, templateNameValidation, getTemplate);
+router.patch('/:name/versions/:version', protect, requireAdmin, templateVersionUpdateValidation, updateTemplateVersion);
+
+module.exports = router;
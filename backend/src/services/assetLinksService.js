@@ -0,0 +1,98 @@
+const { fetchUrl } = require('../utils/httpFetcher');
+const logger = require('../utils/logger');
+
+// Relation that lets the app open the site's links (App Links) and show it
+// without browser UI (Trusted Web Activity)
+const HANDLE_ALL_URLS = 'delegate_permission/common.handle_all_urls';
+
+/**
+ * Normalise a SHA-256 certificate fingerprint to the colon separated,
+ * upper case form Digital Asset Links expects
+ * @returns {string|null} Fingerprint, or null if it isn't a SHA-256 fingerprint
+ */
+function normalizeFingerprint(fingerprint) {
+  const hex = String(fingerprint || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+
+  if (hex.length !== 64) {
+    return null;
+  }
+
+  return hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * Statement the app embeds (asset_statements) to claim the site
+ * @param {string} websiteUrl - Any URL on the site
+ * @returns {string} JSON statement list
+ */
+function getSiteStatement(websiteUrl) {
+  return JSON.stringify([{
+    relation: [HANDLE_ALL_URLS],
+    target: {
+      namespace: 'web',
+      site: new URL(websiteUrl).origin
+    }
+  }]);
+}
+
+/**
+ * Build the /.well-known/assetlinks.json the site has to serve so the app
+ * is verified to open it
+ * @param {string} packageName - Application id of the app
+ * @param {string[]} fingerprints - SHA-256 fingerprints of every key the app is signed with
+ * @returns {object[]} assetlinks.json contents
+ */
+function buildAssetLinks(packageName, fingerprints) {
+  const normalized = [...new Set(fingerprints.map(normalizeFingerprint).filter(Boolean))];
+
+  if (normalized.length === 0) {
+    throw new Error('At least one SHA-256 certificate fingerprint is required');
+  }
+
+  return [{
+    relation: [HANDLE_ALL_URLS],
+    target: {
+      namespace: 'android_app',
+      package_name: packageName,
+      sha256_cert_fingerprints: normalized
+    }
+  }];
+}
+
+/**
+ * Fetch the assetlinks.json a host currently serves
+ * @returns {Promise<object[]>} Its statements, or none if it has no valid file
+ */
+async function fetchPublishedAssetLinks(host) {
+  const url = `https://${host}/.well-known/assetlinks.json`;
+
+  try {
+    const { data } = await fetchUrl(url, { accept: 'application/json', maxBytes: 256 * 1024 });
+    const statements = typeof data === 'string' ? JSON.parse(data) : data;
+    return Array.isArray(statements) ? statements : [];
+  } catch (error) {
+    logger.info(`No usable assetlinks.json at ${url}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Add the app's statements to a host's existing ones, replacing earlier
+ * statements about the same app so other apps the site links to are kept
+ */
+function mergeAssetLinks(existing, statements) {
+  const packages = new Set(statements.map((statement) => statement.target.package_name));
+  const kept = existing.filter((statement) => !(
+    statement?.target?.namespace === 'android_app' && packages.has(statement.target.package_name)
+  ));
+
+  return [...kept, ...statements];
+}
+
+module.exports = {
+  normalizeFingerprint,
+  getSiteStatement,
+  buildAssetLinks,
+  fetchPublishedAssetLinks,
+  mergeAssetLinks
+};
@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { AppError } = require('../middleware/errorHandler');
+
+// Versioned TypeScript declarations of window.Web2APK: bridge/<version>/web2apk.d.ts
+const BRIDGE_DIR = path.join(__dirname, '../../bridge');
+const DECLARATION_FILE = 'web2apk.d.ts';
+
+// Build feature enabling each bridge capability, with the methods it adds
+const CAPABILITIES = {
+  bridgeShare: { name: 'share', methods: ['share'] },
+  bridgeVibrate: { name: 'vibrate', methods: ['vibrate'] },
+  bridgeToast: { name: 'toast', methods: ['toast'] },
+  bridgeClipboard: { name: 'clipboard', methods: ['copyToClipboard'] },
+  bridgeAppInfo: { name: 'appInfo', methods: ['getAppInfo'] }
+};
+
+const BRIDGE_FEATURES = Object.keys(CAPABILITIES);
+
+/**
+ * Capabilities a build's features enable
+ * @returns {string[]} Capability names
+ */
+function getEnabledCapabilities(features) {
+  return BRIDGE_FEATURES.filter((feature) => features?.[feature] === true).map((feature) => CAPABILITIES[feature].name);
+}
+
+/**
+ * List the bridge versions with a published declaration, newest first
+ */
+async function listVersions() {
+  const entries = await fs.readdir(BRIDGE_DIR, { withFileTypes: true });
+
+  return entries
+    .filter((entry) => entry.isDirectory() && /^\d+\.\d+\.\d+$/.test(entry.name))
+    .map((entry) => entry.name)
+    .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+}
+
+/**
+ * Describe the bridge for API responses
+ */
+async function describeBridge() {
+  return {
+    versions: await listVersions(),
+    capabilities: BRIDGE_FEATURES.map((feature) => ({
+      feature,
+      ...CAPABILITIES[feature]
+    }))
+  };
+}
+
+/**
+ * Path of a bridge version's TypeScript declaration
+ */
+async function getDeclarationPath(version) {
+  if (!(await listVersions()).includes(version)) {
+    throw new AppError(`Bridge version ${version} not found`, 404);
+  }
+
+  return path.join(BRIDGE_DIR, version, DECLARATION_FILE);
+}
+
+module.exports = {
+  getEnabledCapabilities,
+  describeBridge,
+  getDeclarationPath
+};
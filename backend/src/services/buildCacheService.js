@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const Build = require('../models/Build');
+const logger = require('../utils/logger');
+
+const CACHE_ENABLED = process.env.BUILD_CACHE_ENABLED !== 'false';
+
+/**
+ * Serialize a value with object keys sorted, so equal inputs always produce
+ * the same string regardless of property order
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * SHA-256 of an uploaded file's content
+ * @returns {Promise<string|null>}
+ */
+async function hashFile(filePath) {
+  if (!filePath) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash everything that determines a build's output
+ * @param {object} inputs - appConfig, features, iconHash, iconLayerHashes, splashHash,
+ *   splashBrandingHash, template, signingIdentity, outputFormat, hasWatermark and executor
+ * @returns {string} Hex SHA-256
+ */
+function computeConfigHash(inputs) {
+  return crypto.createHash('sha256').update(canonicalize(inputs)).digest('hex');
+}
+
+/**
+ * Check that a stored artifact can still be served
+ */
+async function artifactAvailable(artifactPath) {
+  if (!artifactPath) {
+    return true;
+  }
+
+  if (artifactPath.startsWith('https://')) {
+    return true;
+  }
+
+  try {
+    await fs.access(artifactPath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find a completed, non-expired build of the same user with identical inputs
+ * whose artifacts are still available
+ * @returns {Promise<object|null>} Build to reuse
+ */
+async function findReusableBuild(userId, configHash) {
+  if (!CACHE_ENABLED) {
+    return null;
+  }
+
+  const candidates = await Build.find({
+    user: userId,
+    configHash,
+    status: 'completed',
+    isDeleted: false,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 }).limit(5);
+
+  for (const candidate of candidates) {
+    const { apkPath, aabPath, sourcePath } = candidate.output;
+    const available = await artifactAvailable(apkPath)
+      && await artifactAvailable(aabPath)
+      && await artifactAvailable(sourcePath);
+
+    if (available) {
+      return candidate;
+    }
+
+    logger.warn(`Cached build ${candidate.buildId} has missing artifacts - not reusing it`);
+  }
+
+  return null;
+}
+
+module.exports = {
+  hashFile,
+  computeConfigHash,
+  findReusableBuild
+};
@@ -0,0 +1,125 @@
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Events after which no further updates are sent for a build
+const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+const channelFor = (buildId) => `build-events:${buildId}`;
+
+/**
+ * Publish a build event to every API instance over Redis pub/sub
+ * @param {string} buildId - Build ID
+ * @param {string} type - Event type (status, progress, completed, failed, cancelled)
+ * @param {object} data - Event payload
+ */
+async function publishBuildEvent(buildId, type, data = {}) {
+  const event = {
+    type,
+    buildId,
+    ...data,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    await redis.publish(channelFor(buildId), JSON.stringify(event));
+  } catch (error) {
+    // Clients can still fall back to polling GET /api/builds/:buildId
+    logger.warn(`Failed to publish ${type} event for build ${buildId}: ${error.message}`);
+  }
+}
+
+// Subscriber connection shared by all listeners of this process
+let subscriber = null;
+let subscriberReady = null;
+const listeners = new Map();
+
+/**
+ * Get the shared subscriber connection, connecting on first use
+ */
+function getSubscriber() {
+  if (!subscriberReady) {
+    subscriber = redis.duplicate();
+    subscriber.on('error', (err) => {
+      logger.error(`Redis Subscriber Error: ${err.message}`);
+    });
+    subscriberReady = subscriber.connect().then(() => subscriber);
+  }
+  return subscriberReady;
+}
+
+/**
+ * Subscribe to the events of a build
+ * @param {string} buildId - Build ID
+ * @param {Function} listener - Called with each parsed event
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+async function subscribeToBuild(buildId, listener) {
+  const channel = channelFor(buildId);
+  const client = await getSubscriber();
+
+  if (!listeners.has(channel)) {
+    listeners.set(channel, new Set());
+    await client.subscribe(channel, (message) => {
+      let event;
+      try {
+        event = JSON.parse(message);
+      } catch (error) {
+        logger.warn(`Ignoring malformed build event on ${channel}`);
+        return;
+      }
+      for (const fn of listeners.get(channel) || []) {
+        fn(event);
+      }
+    });
+  }
+
+  listeners.get(channel).add(listener);
+
+  return async () => {
+    const channelListeners = listeners.get(channel);
+    if (!channelListeners) {
+      return;
+    }
+
+    channelListeners.delete(listener);
+    if (channelListeners.size === 0) {
+      listeners.delete(channel);
+      try {
+        await client.unsubscribe(channel);
+      } catch (error) {
+        logger.warn(`Failed to unsubscribe from ${channel}: ${error.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Current state of a build in the same shape as pushed events
+ */
+function buildSnapshot(build) {
+  return {
+    type: 'snapshot',
+    buildId: build.buildId,
+    status: build.status,
+    progress: build.progress,
+    currentStep: build.currentStep,
+    downloadUrl: build.output.downloadUrl,
+    aabDownloadUrl: build.output.aabDownloadUrl,
+    error: build.error.message,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Check whether an event or build status ends the event stream
+ */
+function isTerminal(typeOrStatus) {
+  return TERMINAL_EVENTS.includes(typeOrStatus);
+}
+
+module.exports = {
+  publishBuildEvent,
+  subscribeToBuild,
+  buildSnapshot,
+  isTerminal
+};
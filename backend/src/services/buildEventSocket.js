@@ -0,0 +1,142 @@
+const { WebSocketServer } = require('ws');
+const Build = require('../models/Build');
+const User = require('../models/User');
+const { verifyToken } = require('../utils/jwt');
+const buildEventService = require('./buildEventService');
+const logger = require('../utils/logger');
+
+const SOCKET_PATH = '/api/builds/events/ws';
+
+/**
+ * Authenticate a WebSocket upgrade request and load the requested build.
+ * Browsers cannot set headers on WebSocket connections, so the JWT is taken
+ * from the Authorization header or the `token` query parameter.
+ * @returns {Promise<object>} Build owned by the authenticated user
+ */
+async function authorizeUpgrade(req, url) {
+  const header = req.headers.authorization;
+  const token = header && header.startsWith('Bearer')
+    ? header.split(' ')[1]
+    : url.searchParams.get('token');
+
+  if (!token) {
+    throw Object.assign(new Error('Not authorized'), { statusCode: 401 });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw Object.assign(new Error('Invalid token'), { statusCode: 401 });
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user || !user.isActive) {
+    throw Object.assign(new Error('Not authorized'), { statusCode: 401 });
+  }
+
+  const build = await Build.findOne({ buildId: url.searchParams.get('buildId') || '' });
+  if (!build) {
+    throw Object.assign(new Error('Build not found'), { statusCode: 404 });
+  }
+
+  if (build.user.toString() !== user._id.toString()) {
+    throw Object.assign(new Error('Not authorized to access this build'), { statusCode: 403 });
+  }
+
+  return build;
+}
+
+/**
+ * Relay build events to a connected socket until the build finishes
+ */
+async function handleConnection(socket, build) {
+  let unsubscribe = null;
+
+  const close = async () => {
+    if (unsubscribe) {
+      const fn = unsubscribe;
+      unsubscribe = null;
+      await fn();
+    }
+    if (socket.readyState === socket.OPEN) {
+      socket.close(1000, 'Build finished');
+    }
+  };
+
+  const send = (event) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(event));
+    }
+  };
+
+  socket.on('close', close);
+
+  // Subscribe before reading the snapshot so no update is missed in between
+  const subscription = await buildEventService.subscribeToBuild(build.buildId, (event) => {
+    send(event);
+    if (buildEventService.isTerminal(event.type)) {
+      close();
+    }
+  });
+
+  // The socket closed while subscribing, so close already ran without it
+  if (socket.readyState !== socket.OPEN) {
+    await subscription();
+    return;
+  }
+  unsubscribe = subscription;
+
+  const current = await Build.findOne({ buildId: build.buildId });
+
+  // Deleted since the upgrade was authorized
+  if (!current) {
+    await close();
+    return;
+  }
+
+  send(buildEventService.buildSnapshot(current));
+
+  if (buildEventService.isTerminal(current.status)) {
+    await close();
+  }
+}
+
+/**
+ * Attach the build events WebSocket endpoint to the HTTP server
+ * @param {object} server - HTTP server returned by app.listen
+ */
+function attachBuildEventSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== SOCKET_PATH) {
+      return socket.destroy();
+    }
+
+    let build;
+    try {
+      build = await authorizeUpgrade(req, url);
+    } catch (error) {
+      const status = error.statusCode || 500;
+      socket.write(`HTTP/1.1 ${status} ${error.message}\r\nConnection: close\r\n\r\n`);
+      return socket.destroy();
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, build).catch((error) => {
+        logger.error(`Build event socket error: ${error.message}`);
+        ws.close(1011, 'Internal error');
+      });
+    });
+  });
+
+  logger.info(`Build events WebSocket listening on ${SOCKET_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  attachBuildEventSocket
+};
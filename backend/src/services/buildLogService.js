@@ -0,0 +1,171 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const redis = require('../config/redis');
+const BuildLog = require('../models/BuildLog');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MAX_LINES = parseInt(process.env.BUILD_LOG_MAX_LINES) || 5000;
+const MAX_LINE_LENGTH = 2000;
+const FLUSH_INTERVAL_MS = 250;
+const LIVE_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+const RETENTION_DAYS = parseInt(process.env.BUILD_LOG_RETENTION_DAYS) || 30;
+
+/**
+ * Redis keys for a build's live log
+ * The list holds the most recent MAX_LINES lines; the counter holds the total
+ * number of lines written so readers can follow the log by absolute line number.
+ */
+const liveKeys = (buildId) => ({
+  lines: `build:logs:${buildId}`,
+  total: `build:logs:${buildId}:total`
+});
+
+/**
+ * Create a log collector for a running build.
+ * Lines are kept in memory (capped) and mirrored to Redis in small batches
+ * so the API can stream them while the build is running.
+ */
+function createBuildLog(buildId) {
+  const keys = liveKeys(buildId);
+  const lines = [];
+  let droppedLines = 0;
+  let pending = [];
+  let flushTimer = null;
+  let flushing = Promise.resolve();
+
+  const flush = () => {
+    flushTimer = null;
+    if (pending.length === 0) {
+      return flushing;
+    }
+
+    const batch = pending;
+    pending = [];
+
+    flushing = flushing.then(() => redis.multi()
+      .rPush(keys.lines, batch)
+      .lTrim(keys.lines, -MAX_LINES, -1)
+      .incrBy(keys.total, batch.length)
+      .expire(keys.lines, LIVE_TTL_SECONDS)
+      .expire(keys.total, LIVE_TTL_SECONDS)
+      .exec()
+    ).catch((error) => {
+      logger.warn(`Failed to publish build log lines for ${buildId}: ${error.message}`);
+    });
+
+    return flushing;
+  };
+
+  const append = (line) => {
+    const text = String(line).replace(/\r$/, '');
+    const capped = text.length > MAX_LINE_LENGTH
+      ? `${text.slice(0, MAX_LINE_LENGTH)}... [line truncated]`
+      : text;
+
+    lines.push(capped);
+    if (lines.length > MAX_LINES) {
+      lines.shift();
+      droppedLines += 1;
+    }
+
+    pending.push(capped);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    }
+  };
+
+  /**
+   * Flush outstanding lines and store the compressed log in MongoDB
+   */
+  const persist = async (build = null) => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+    }
+    await flush();
+
+    const body = (droppedLines > 0 ? [`... ${droppedLines} earlier lines omitted ...`] : [])
+      .concat(lines)
+      .join('\n');
+    const data = await gzip(Buffer.from(body, 'utf8'));
+
+    await BuildLog.findOneAndUpdate(
+      { buildId },
+      {
+        build: build ? build._id : null,
+        buildId,
+        data,
+        lineCount: lines.length + droppedLines,
+        droppedLines,
+        uncompressedSize: Buffer.byteLength(body),
+        compressedSize: data.length,
+        expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`Build log stored for ${buildId}: ${lines.length + droppedLines} lines`);
+  };
+
+  return {
+    append,
+    flush,
+    persist,
+    tail: (count = 20) => lines.slice(-count)
+  };
+}
+
+/**
+ * Read live log lines starting at an absolute line number
+ * @returns {Promise<{lines: string[], nextLine: number}>}
+ */
+async function readLiveLines(buildId, fromLine = 0) {
+  const keys = liveKeys(buildId);
+  const [total, length] = await Promise.all([
+    redis.get(keys.total),
+    redis.lLen(keys.lines)
+  ]);
+
+  const totalLines = parseInt(total) || 0;
+  const firstAvailable = totalLines - length;
+
+  if (fromLine >= totalLines) {
+    return { lines: [], nextLine: totalLines };
+  }
+
+  const lines = [];
+  // Lines trimmed from the live list before the reader got to them
+  if (fromLine < firstAvailable) {
+    lines.push(`... ${firstAvailable - fromLine} lines omitted ...`);
+  }
+
+  const start = Math.max(fromLine, firstAvailable) - firstAvailable;
+  lines.push(...await redis.lRange(keys.lines, start, -1));
+
+  return { lines, nextLine: totalLines };
+}
+
+/**
+ * Get the full log of a build - the stored log once the build has finished,
+ * otherwise whatever is available in Redis
+ * @returns {Promise<string|null>}
+ */
+async function getLog(buildId) {
+  const stored = await BuildLog.findOne({ buildId });
+
+  if (stored) {
+    const body = await gunzip(stored.data);
+    return body.toString('utf8');
+  }
+
+  const { lines } = await readLiveLines(buildId, 0);
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+module.exports = {
+  createBuildLog,
+  readLiveLines,
+  getLog
+};
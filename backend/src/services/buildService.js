@@ -1,19 +1,52 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { execSync } = require('child_process');
-const sharp = require('sharp');
 const archiver = require('archiver');
 const logger = require('../utils/logger');
+const keystoreService = require('./keystoreService');
+const templateRenderer = require('./templateRenderer');
+const templateRegistry = require('./templateRegistry');
+const iconGenerator = require('./iconGenerator');
+const assetLinksService = require('./assetLinksService');
+const siteBundleService = require('./siteBundleService');
+const injectionService = require('./injectionService');
+const { getExecutor } = require('./executors');
+const { throwIfCancelled } = require('../utils/cancellation');
 
-const ANDROID_TEMPLATE_DIR = path.join(__dirname, '../../android-template');
 const BUILD_OUTPUT_DIR = process.env.BUILD_OUTPUT_DIR || path.join(__dirname, '../../builds');
 const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, '../../temp');
 
 /**
  * Main function to build APK
  */
-async function buildAPK({ buildId, appConfig, features, isPremium, updateProgress }) {
+async function buildAPK({
+  buildId,
+  userId,
+  appConfig,
+  features,
+  isPremium,
+  template = null,
+  outputFormat = 'apk',
+  updateProgress: reportProgress,
+  onLog = () => {},
+  signal = null
+}) {
   const projectDir = path.join(TEMP_DIR, buildId);
+  let signingKey = null;
+
+  // Every step checks for cancellation before it starts
+  const updateProgress = async (progress, step) => {
+    throwIfCancelled(signal);
+    await reportProgress(progress, step);
+  };
+
+  // Time spent in each phase (ms), stored on the build to track build performance
+  const timings = {};
+  let phaseStartedAt = Date.now();
+  const endPhase = (phase) => {
+    const now = Date.now();
+    timings[phase] = now - phaseStartedAt;
+    phaseStartedAt = now;
+  };
   
   try {
     // Step 1: Create project directory
@@ -22,99 +55,172 @@ async function buildAPK({ buildId, appConfig, features, isPremium, updateProgres
 
     // Step 2: Copy Android template
     await updateProgress(20, 'Copying Android template...');
-    await copyDirectory(ANDROID_TEMPLATE_DIR, projectDir);
+    const templateDescriptor = await templateRegistry.getTemplateDescriptor(template);
+    const mode = templateDescriptor.mode;
+    await copyDirectory(templateDescriptor.dir, projectDir);
+    // The descriptor belongs to the registry, not to the generated app
+    await fs.rm(path.join(projectDir, 'template.json'), { force: true });
 
     // Step 3: Update AndroidManifest.xml
     await updateProgress(30, 'Configuring app manifest...');
-    await updateAndroidManifest(projectDir, appConfig, features);
+    await updateAndroidManifest(projectDir, appConfig, features, mode);
 
     // Step 4: Update build.gradle
     await updateProgress(40, 'Configuring build scripts...');
     await updateBuildGradle(projectDir, appConfig);
 
-    // Step 5: Update strings.xml
-    await updateProgress(45, 'Setting app name...');
+    // Step 5: Update strings.xml and colors.xml
+    await updateProgress(45, 'Setting app name and colours...');
     await updateStringsXml(projectDir, appConfig);
+    await updateColorsXml(projectDir, appConfig);
 
     // Step 6: Process and copy app icon
     await updateProgress(50, 'Processing app icon...');
-    await processAppIcon(projectDir, appConfig.appIcon);
+    await processAppIcon(projectDir, appConfig);
 
     // Step 7: Process splash screen
     await updateProgress(55, 'Creating splash screen...');
-    await processSplashScreen(projectDir, appConfig);
+    await processSplashScreen(projectDir, appConfig, mode);
+
+    // Step 8: Update MainActivity.kt, or the launch URL of a Trusted Web Activity
+    if (mode === 'twa') {
+      await updateProgress(60, 'Configuring Trusted Web Activity...');
+      await updateTwaConfig(projectDir, appConfig);
+    } else {
+      await updateProgress(60, 'Configuring WebView...');
+      await updateMainActivity(projectDir, appConfig, features, isPremium);
+    }
+
+    // Every template placeholder must have been filled in by the steps above
+    await templateRenderer.assertFullyRendered(projectDir);
+
+    // Bundled static sites are served offline from the app's assets. Added
+    // after the placeholder check, which must not scan the site's own files.
+    if (appConfig.siteBundle) {
+      await updateProgress(65, 'Adding site bundle...');
+      const bundle = await loadUpload(appConfig.siteBundle, 'site bundle');
+      await siteBundleService.extractBundle(bundle, projectDir);
+    }
+
+    // User CSS and JavaScript can contain anything, so it is added after the check as well
+    if (mode !== 'twa' && appConfig.injections?.length > 0) {
+      await injectionService.writeInjectionScripts(projectDir, appConfig.injections, getTrustedOrigins(appConfig));
+    }
+    endPhase('prepare');
 
-    // Step 8: Update MainActivity.kt
-    await updateProgress(60, 'Configuring WebView...');
-    await updateMainActivity(projectDir, appConfig, features, isPremium);
+    // Source export stops here and packages the generated project instead of building it
+    if (outputFormat === 'source') {
+      await updateProgress(80, 'Packaging project source...');
+      const archivePath = await createSourceArchive(projectDir, buildId, appConfig);
 
-    // Step 9: Build APK with Gradle
-    await updateProgress(70, 'Building APK (this may take a few minutes)...');
-    const apkPath = await buildWithGradle(projectDir, buildId);
+      await updateProgress(95, 'Uploading to cloud storage...');
+      await fs.mkdir(BUILD_OUTPUT_DIR, { recursive: true });
+      const source = await storeArtifact(archivePath, buildId, 'source');
+      endPhase('store');
 
-    // Step 10: Sign APK
-    await updateProgress(90, 'Signing APK...');
-    const signedApkPath = await signAPK(apkPath, buildId);
+      await fs.rm(projectDir, { recursive: true, force: true });
+      await fs.rm(archivePath, { force: true });
+
+      return {
+        sourcePath: source.path,
+        sourceSize: source.size,
+        sourceDownloadUrl: source.downloadUrl,
+        sourceCloudinaryPublicId: source.cloudinaryPublicId,
+        timings
+      };
+    }
 
-    // Step 11: Move to output directory temporarily
+    // Step 9: Build with the configured executor (Gradle unless BUILD_EXECUTOR says otherwise)
+    const executor = getExecutor();
+    const formatLabel = outputFormat === 'apk' ? 'APK' : outputFormat === 'aab' ? 'App Bundle' : 'APK and App Bundle';
+    await updateProgress(70, `Building ${formatLabel} (this may take a few minutes)...`);
+    const unsigned = await executor.build(projectDir, buildId, outputFormat, onLog, signal);
+    endPhase('compile');
+
+    // Step 10: Sign artifacts with the app's own keystore (generated on first build)
+    await updateProgress(90, `Signing ${formatLabel}...`);
+    const keystore = executor.requiresKeystore
+      ? await keystoreService.getOrCreateKeystore(appConfig.packageName, userId)
+      : null;
+    if (keystore) {
+      signingKey = await keystoreService.materializeKeystore(keystore);
+    }
+    const signedApkPath = unsigned.apkPath ? await executor.sign(unsigned.apkPath, 'apk', buildId, signingKey) : null;
+    const signedAabPath = unsigned.aabPath ? await executor.sign(unsigned.aabPath, 'aab', buildId, signingKey) : null;
+
+    let signing = null;
+    if (keystore) {
+      await signingKey.cleanup();
+      signingKey = null;
+      await keystore.markUsed();
+      const certificate = await keystoreService.ensureFingerprints(keystore);
+      signing = {
+        keystore: keystore._id,
+        keyAlias: keystore.keyAlias,
+        sha1Fingerprint: certificate.sha1Fingerprint,
+        sha256Fingerprint: certificate.sha256Fingerprint
+      };
+    }
+    endPhase('sign');
+
+    // Step 11: Store artifacts (local output directory + Cloudinary)
     await updateProgress(93, 'Finalizing...');
-    const finalApkPath = path.join(BUILD_OUTPUT_DIR, `${buildId}.apk`);
     await fs.mkdir(BUILD_OUTPUT_DIR, { recursive: true });
-    await fs.copyFile(signedApkPath, finalApkPath);
 
-    // Get APK size
-    const stats = await fs.stat(finalApkPath);
-    const apkSize = stats.size;
+    const result = {
+      apkPath: null,
+      apkSize: null,
+      downloadUrl: null,
+      cloudinaryPublicId: null,
+      aabPath: null,
+      aabSize: null,
+      aabDownloadUrl: null,
+      aabCloudinaryPublicId: null,
+      signing,
+      timings,
+      gradleDaemon: unsigned.daemon || null
+    };
 
-    // Step 12: Upload to Cloudinary
     await updateProgress(95, 'Uploading to cloud storage...');
-    const cloudinaryService = require('./cloudinaryService');
-    
-    let cloudinaryUrl = null;
-    let cloudinaryPublicId = null;
-
-    if (cloudinaryService.isConfigured()) {
-      try {
-        const uploadResult = await cloudinaryService.uploadAPK(finalApkPath, buildId);
-        cloudinaryUrl = uploadResult.url;
-        cloudinaryPublicId = uploadResult.publicId;
-        logger.info(`APK uploaded to Cloudinary: ${cloudinaryUrl}`);
-      } catch (uploadError) {
-        logger.error(`Cloudinary upload failed: ${uploadError.message}`);
-        // Continue without Cloudinary - file will be stored locally
-      }
-    } else {
-      logger.warn('Cloudinary not configured - APK will be stored locally only');
+
+    if (signedApkPath) {
+      const apk = await storeArtifact(signedApkPath, buildId, 'apk');
+      result.apkPath = apk.path;
+      result.apkSize = apk.size;
+      result.downloadUrl = apk.downloadUrl;
+      result.cloudinaryPublicId = apk.cloudinaryPublicId;
     }
 
-    // Cleanup temp directory
-    await fs.rm(projectDir, { recursive: true, force: true });
+    if (signedAabPath) {
+      const aab = await storeArtifact(signedAabPath, buildId, 'aab');
+      result.aabPath = aab.path;
+      result.aabSize = aab.size;
+      result.aabDownloadUrl = aab.downloadUrl;
+      result.aabCloudinaryPublicId = aab.cloudinaryPublicId;
+    }
+    endPhase('store');
 
-    // If Cloudinary upload succeeded, delete local file
-    if (cloudinaryUrl) {
-      try {
-        await fs.unlink(finalApkPath);
-        logger.info('Local APK file deleted after Cloudinary upload');
-      } catch (err) {
-        logger.warn(`Failed to delete local APK: ${err.message}`);
+    // Cleanup temp directory and signed copies
+    await fs.rm(projectDir, { recursive: true, force: true });
+    for (const signedPath of [signedApkPath, signedAabPath]) {
+      if (signedPath && signedPath.startsWith(TEMP_DIR)) {
+        await fs.rm(signedPath, { force: true });
       }
     }
 
-    // Generate download URL
-    const downloadUrl = cloudinaryUrl || `/downloads/${buildId}.apk`;
-    const storedApkPath = cloudinaryUrl || finalApkPath;
-
-    return {
-      apkPath: storedApkPath,
-      apkSize,
-      downloadUrl,
-      cloudinaryPublicId
-    };
+    return result;
 
   } catch (error) {
     // Cleanup on error
     try {
       await fs.rm(projectDir, { recursive: true, force: true });
+      for (const type of ['apk', 'aab']) {
+        await fs.rm(path.join(TEMP_DIR, `${buildId}-signed.${type}`), { force: true });
+      }
+      await fs.rm(path.join(TEMP_DIR, `${buildId}-source.zip`), { force: true });
+      if (signingKey) {
+        await signingKey.cleanup();
+      }
     } catch (cleanupError) {
       logger.error(`Cleanup error: ${cleanupError.message}`);
     }
@@ -122,6 +228,93 @@ async function buildAPK({ buildId, appConfig, features, isPremium, updateProgres
   }
 }
 
+/**
+ * Output file name for each artifact type
+ */
+const ARTIFACT_FILE_NAMES = {
+  apk: (buildId) => `${buildId}.apk`,
+  aab: (buildId) => `${buildId}.aab`,
+  source: (buildId) => `${buildId}-source.zip`
+};
+
+/**
+ * Copy a finished artifact to the output directory and upload it to Cloudinary.
+ * The local copy is removed once the upload succeeds.
+ */
+async function storeArtifact(signedPath, buildId, type) {
+  const fileName = ARTIFACT_FILE_NAMES[type](buildId);
+  const finalPath = path.join(BUILD_OUTPUT_DIR, fileName);
+  await fs.copyFile(signedPath, finalPath);
+
+  const stats = await fs.stat(finalPath);
+  const cloudinaryService = require('./cloudinaryService');
+
+  let cloudinaryUrl = null;
+  let cloudinaryPublicId = null;
+
+  if (cloudinaryService.isConfigured()) {
+    try {
+      const uploadResult = await cloudinaryService.uploadArtifact(finalPath, buildId, type);
+      cloudinaryUrl = uploadResult.url;
+      cloudinaryPublicId = uploadResult.publicId;
+      logger.info(`${type.toUpperCase()} uploaded to Cloudinary: ${cloudinaryUrl}`);
+    } catch (uploadError) {
+      logger.error(`Cloudinary upload failed: ${uploadError.message}`);
+      // Continue without Cloudinary - file will be stored locally
+    }
+  } else {
+    logger.warn(`Cloudinary not configured - ${type.toUpperCase()} will be stored locally only`);
+  }
+
+  // If Cloudinary upload succeeded, delete local file
+  if (cloudinaryUrl) {
+    try {
+      await fs.unlink(finalPath);
+      logger.info(`Local ${type.toUpperCase()} file deleted after Cloudinary upload`);
+    } catch (err) {
+      logger.warn(`Failed to delete local ${type.toUpperCase()}: ${err.message}`);
+    }
+  }
+
+  return {
+    path: cloudinaryUrl || finalPath,
+    size: stats.size,
+    downloadUrl: cloudinaryUrl || `/downloads/${fileName}`,
+    cloudinaryPublicId
+  };
+}
+
+/**
+ * Zip the generated Android project so it can be opened in Android Studio
+ * @returns {Promise<string>} Path of the zip archive
+ */
+async function createSourceArchive(projectDir, buildId, appConfig) {
+  const archivePath = path.join(TEMP_DIR, `${buildId}-source.zip`);
+  const rootFolder = appConfig.appName.replace(/[^a-zA-Z0-9_-]+/g, '_') || 'android-project';
+  const { createWriteStream } = require('fs');
+
+  await new Promise((resolve, reject) => {
+    const output = createWriteStream(archivePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    // Build outputs and machine-specific files are never part of the source
+    archive.glob('**/*', {
+      cwd: projectDir,
+      dot: true,
+      ignore: ['**/build/**', '.gradle/**', 'local.properties']
+    }, { prefix: rootFolder });
+    archive.finalize();
+  });
+
+  logger.info(`Project source archived for build: ${buildId}`);
+  return archivePath;
+}
+
 /**
  * Copy directory recursively
  */
@@ -144,20 +337,62 @@ async function copyDirectory(src, dest) {
   }
 }
 
+// Intent filters for deep links: one verified App Links filter per host, so
+// path prefixes only apply to their own host, and one for all custom schemes
+const APP_LINK_FILTER = `
+            <intent-filter android:autoVerify="true">
+                <action android:name="android.intent.action.VIEW" />
+                <category android:name="android.intent.category.DEFAULT" />
+                <category android:name="android.intent.category.BROWSABLE" />
+                <data android:scheme="https" />
+                <data android:host="{{xmlAttr:HOST}}" />{{raw:PATH_PREFIXES}}
+            </intent-filter>`;
+const PATH_PREFIX_DATA = `
+                <data android:pathPrefix="{{xmlAttr:PATH_PREFIX}}" />`;
+const CUSTOM_SCHEME_FILTER = `
+            <intent-filter>
+                <action android:name="android.intent.action.VIEW" />
+                <category android:name="android.intent.category.DEFAULT" />
+                <category android:name="android.intent.category.BROWSABLE" />{{raw:SCHEMES}}
+            </intent-filter>`;
+const SCHEME_DATA = `
+                <data android:scheme="{{xmlAttr:SCHEME}}" />`;
+
 /**
- * Update AndroidManifest.xml
+ * Render the intent filters for the build's deep link hosts and schemes
  */
-async function updateAndroidManifest(projectDir, appConfig, features) {
-  const manifestPath = path.join(projectDir, 'app/src/main/AndroidManifest.xml');
-  let manifest = await fs.readFile(manifestPath, 'utf8');
+function renderDeepLinkFilters(deepLinks) {
+  const hostFilters = (deepLinks?.hosts || []).map(({ host, pathPrefixes }) => templateRenderer.render(APP_LINK_FILTER, {
+    HOST: host,
+    PATH_PREFIXES: (pathPrefixes || [])
+      .map((prefix) => templateRenderer.render(PATH_PREFIX_DATA, { PATH_PREFIX: prefix }, 'deep link path'))
+      .join('')
+  }, 'deep link filter'));
+
+  const schemes = deepLinks?.schemes || [];
+  const schemeFilter = schemes.length > 0
+    ? templateRenderer.render(CUSTOM_SCHEME_FILTER, {
+      SCHEMES: schemes.map((scheme) => templateRenderer.render(SCHEME_DATA, { SCHEME: scheme }, 'deep link scheme')).join('')
+    }, 'deep link filter')
+    : '';
+
+  return hostFilters.join('') + schemeFilter;
+}
 
-  // Update package name
-  manifest = manifest.replace(/package="[^"]*"/, `package="${appConfig.packageName}"`);
+/**
+ * Render AndroidManifest.xml with the permissions and deep link filters
+ * required by the enabled features, or the verified host of a Trusted Web Activity
+ */
+async function updateAndroidManifest(projectDir, appConfig, features, mode) {
+  if (mode === 'twa') {
+    await templateRenderer.renderFile(projectDir, 'app/src/main/AndroidManifest.xml', {
+      SCREEN_ORIENTATION: appConfig.orientation || 'unspecified',
+      LAUNCH_HOST: new URL(appConfig.websiteUrl).hostname
+    });
+    return;
+  }
 
-  // Add permissions based on features
-  let permissions = `
-    <uses-permission android:name="android.permission.INTERNET" />
-    <uses-permission android:name="android.permission.ACCESS_NETWORK_STATE" />`;
+  let permissions = '';
 
   if (features.fileUpload) {
     permissions += `
@@ -171,186 +406,197 @@ async function updateAndroidManifest(projectDir, appConfig, features) {
     <uses-permission android:name="android.permission.ACCESS_COARSE_LOCATION" />`;
   }
 
-  // Insert permissions before <application>
-  manifest = manifest.replace('<application', permissions + '\n\n    <application');
+  // Marked optional so the app still installs on devices without the hardware
+  if (features.camera) {
+    permissions += `
+    <uses-permission android:name="android.permission.CAMERA" />
+    <uses-feature android:name="android.hardware.camera" android:required="false" />`;
+  }
 
-  await fs.writeFile(manifestPath, manifest, 'utf8');
+  if (features.microphone) {
+    permissions += `
+    <uses-permission android:name="android.permission.RECORD_AUDIO" />
+    <uses-permission android:name="android.permission.MODIFY_AUDIO_SETTINGS" />
+    <uses-feature android:name="android.hardware.microphone" android:required="false" />`;
+  }
+
+  if (features.bridgeVibrate) {
+    permissions += `
+    <uses-permission android:name="android.permission.VIBRATE" />`;
+  }
+
+  await templateRenderer.renderFile(projectDir, 'app/src/main/AndroidManifest.xml', {
+    FEATURE_PERMISSIONS: permissions,
+    SCREEN_ORIENTATION: appConfig.orientation || 'unspecified',
+    DEEP_LINK_FILTERS: features.deepLinking ? renderDeepLinkFilters(appConfig.deepLinks) : ''
+  });
 }
 
 /**
- * Update build.gradle with package name and version
+ * Render build.gradle with package name and version
  */
 async function updateBuildGradle(projectDir, appConfig) {
-  const gradlePath = path.join(projectDir, 'app/build.gradle');
-  let gradle = await fs.readFile(gradlePath, 'utf8');
-
-  gradle = gradle.replace(/applicationId\s+"[^"]*"/, `applicationId "${appConfig.packageName}"`);
-  gradle = gradle.replace(/versionCode\s+\d+/, `versionCode ${appConfig.versionCode || 1}`);
-  gradle = gradle.replace(/versionName\s+"[^"]*"/, `versionName "${appConfig.versionName || '1.0.0'}"`);
-
-  await fs.writeFile(gradlePath, gradle, 'utf8');
+  await templateRenderer.renderFile(projectDir, 'app/build.gradle', {
+    PACKAGE_NAME: appConfig.packageName,
+    VERSION_CODE: appConfig.versionCode || 1,
+    VERSION_NAME: appConfig.versionName || '1.0.0'
+  });
 }
 
 /**
- * Update strings.xml with app name
+ * Render strings.xml with app name and the (optionally shorter) launcher label
  */
 async function updateStringsXml(projectDir, appConfig) {
-  const stringsPath = path.join(projectDir, 'app/src/main/res/values/strings.xml');
-  let strings = await fs.readFile(stringsPath, 'utf8');
+  await templateRenderer.renderFile(projectDir, 'app/src/main/res/values/strings.xml', {
+    APP_NAME: appConfig.appName,
+    LAUNCHER_NAME: appConfig.shortName || appConfig.appName
+  });
+}
 
-  strings = strings.replace(
-    /<string name="app_name">.*<\/string>/,
-    `<string name="app_name">${escapeXml(appConfig.appName)}</string>`
-  );
+/**
+ * Darken a #RRGGBB colour by the given fraction
+ */
+function darkenColor(hex, amount) {
+  const channels = [1, 3, 5].map((start) => Math.round(parseInt(hex.slice(start, start + 2), 16) * (1 - amount)));
+  return `#${channels.map((channel) => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
 
-  await fs.writeFile(stringsPath, strings, 'utf8');
+/**
+ * Render colors.xml with the theme and splash background colours
+ */
+async function updateColorsXml(projectDir, appConfig) {
+  const themeColor = appConfig.themeColor || '#6200EE';
+
+  await templateRenderer.renderFile(projectDir, 'app/src/main/res/values/colors.xml', {
+    THEME_COLOR: themeColor,
+    THEME_COLOR_DARK: darkenColor(themeColor, 0.2),
+    SPLASH_BACKGROUND: appConfig.splashBackground || '#FFFFFF'
+  });
 }
 
 /**
- * Process and copy app icon
+ * Load an uploaded file from Cloudinary (or a local path for older builds)
+ * @returns {Promise<Buffer|null>}
  */
-async function processAppIcon(projectDir, iconPath) {
-  if (!iconPath) {
-    // Use default icon - already in template
-    return;
+async function loadUpload(source, label) {
+  if (!source) {
+    return null;
   }
 
-  const axios = require('axios');
-  let imageBuffer;
+  // Check if source is a URL (Cloudinary) or local path
+  if (source.startsWith('http://') || source.startsWith('https://')) {
+    const axios = require('axios');
+    logger.info(`Downloading ${label} from Cloudinary: ${source}`);
 
-  // Check if iconPath is a URL (Cloudinary) or local path
-  if (iconPath.startsWith('http://') || iconPath.startsWith('https://')) {
-    // Download from Cloudinary
-    logger.info(`Downloading app icon from Cloudinary: ${iconPath}`);
-    
     try {
-      const response = await axios.get(iconPath, {
+      const response = await axios.get(source, {
         responseType: 'arraybuffer'
       });
-      imageBuffer = Buffer.from(response.data);
-      logger.info('App icon downloaded successfully');
+      logger.info(`Downloaded ${label}`);
+      return Buffer.from(response.data);
     } catch (error) {
-      logger.error(`Failed to download app icon: ${error.message}`);
-      throw new Error(`Failed to download app icon from ${iconPath}: ${error.message}`);
+      logger.error(`Failed to download ${label}: ${error.message}`);
+      throw new Error(`Failed to download ${label} from ${source}: ${error.message}`);
     }
-  } else {
-    // Local file path (backwards compatibility)
-    logger.warn(`Using local icon path (deprecated): ${iconPath}`);
-    imageBuffer = iconPath; // sharp can handle file paths directly
   }
 
-  const iconSizes = {
-    'mipmap-mdpi': 48,
-    'mipmap-hdpi': 72,
-    'mipmap-xhdpi': 96,
-    'mipmap-xxhdpi': 144,
-    'mipmap-xxxhdpi': 192
-  };
+  // Local file path (backwards compatibility)
+  logger.warn(`Using local ${label} path (deprecated): ${source}`);
+  return fs.readFile(source);
+}
 
-  for (const [folder, size] of Object.entries(iconSizes)) {
-    const outputPath = path.join(projectDir, `app/src/main/res/${folder}/ic_launcher.png`);
-    
-    // Use buffer if we downloaded from URL, otherwise use path
-    if (Buffer.isBuffer(imageBuffer)) {
-      await sharp(imageBuffer)
-        .resize(size, size)
-        .png()
-        .toFile(outputPath);
-    } else {
-      await sharp(imageBuffer)
-        .resize(size, size)
-        .png()
-        .toFile(outputPath);
-    }
+/**
+ * Generate launcher icons from the app icon and the optional layer overrides
+ */
+async function processAppIcon(projectDir, appConfig) {
+  // Without an upload, the template's own icon is turned into adaptive layers
+  const defaultIconPath = path.join(projectDir, 'app/src/main/res/mipmap-xxxhdpi/ic_launcher.png');
+  const appIcon = await loadUpload(appConfig.appIcon, 'app icon') || await fs.readFile(defaultIconPath);
+
+  await iconGenerator.generateLauncherIcons(projectDir, {
+    foreground: await loadUpload(appConfig.iconForeground, 'icon foreground') || appIcon,
+    background: await loadUpload(appConfig.iconBackground, 'icon background'),
+    backgroundColor: appConfig.iconBackgroundColor || '#FFFFFF',
+    monochrome: await loadUpload(appConfig.iconMonochrome, 'monochrome icon')
+  });
+}
+
+/**
+ * Configure the core-splashscreen theme: icon and branding image (the
+ * background colour is set in colors.xml)
+ */
+async function processSplashScreen(projectDir, appConfig, mode) {
+  const branding = await loadUpload(appConfig.splashBranding, 'splash branding image');
+
+  await iconGenerator.generateSplashImages(projectDir, {
+    icon: await loadUpload(appConfig.splashImage, 'splash image'),
+    branding
+  });
+
+  // The browser draws a Trusted Web Activity's splash screen, without branding
+  if (mode === 'twa') {
+    return;
   }
-  
-  logger.info('App icon processed for all resolutions');
+
+  // The branding image is only supported by the Android 12+ platform splash screen
+  await templateRenderer.renderFile(projectDir, 'app/src/main/res/values-v31/styles.xml', {
+    SPLASH_BRANDING: branding
+      ? '        <item name="android:windowSplashScreenBrandingImage">@drawable/splash_branding</item>'
+      : ''
+  });
 }
 
 /**
- * Process splash screen
+ * Origins the app treats as its own: the website and its deep link hosts.
+ * Only they are granted location, camera and microphone access.
  */
-async function processSplashScreen(projectDir, appConfig) {
-  const colorsPath = path.join(projectDir, 'app/src/main/res/values/colors.xml');
-  let colors = await fs.readFile(colorsPath, 'utf8');
+function getTrustedOrigins(appConfig) {
+  const origins = new Set([new URL(appConfig.websiteUrl).origin]);
+  (appConfig.deepLinks?.hosts || []).forEach(({ host }) => origins.add(`https://${host}`));
+  return [...origins];
+}
 
-  // Update splash background color
-  const splashColor = appConfig.splashBackground || '#FFFFFF';
-  colors = colors.replace(
-    /<color name="splash_background">.*<\/color>/,
-    `<color name="splash_background">${splashColor}</color>`
-  );
+// WebSettings constants for the profile's cache mode and mixed content policy
+const CACHE_MODES = {
+  default: 'WebSettings.LOAD_DEFAULT',
+  cacheElseNetwork: 'WebSettings.LOAD_CACHE_ELSE_NETWORK',
+  noCache: 'WebSettings.LOAD_NO_CACHE',
+  cacheOnly: 'WebSettings.LOAD_CACHE_ONLY'
+};
 
-  await fs.writeFile(colorsPath, colors, 'utf8');
+const MIXED_CONTENT_MODES = {
+  never: 'WebSettings.MIXED_CONTENT_NEVER_ALLOW',
+  compatibility: 'WebSettings.MIXED_CONTENT_COMPATIBILITY_MODE',
+  always: 'WebSettings.MIXED_CONTENT_ALWAYS_ALLOW'
+};
 
-  // If splash image provided, process it
-  if (appConfig.splashImage) {
-    const axios = require('axios');
-    let imageBuffer;
-
-    // Check if splashImage is a URL (Cloudinary) or local path
-    if (appConfig.splashImage.startsWith('http://') || appConfig.splashImage.startsWith('https://')) {
-      // Download from Cloudinary
-      logger.info(`Downloading splash image from Cloudinary: ${appConfig.splashImage}`);
-      
-      try {
-        const response = await axios.get(appConfig.splashImage, {
-          responseType: 'arraybuffer'
-        });
-        imageBuffer = Buffer.from(response.data);
-        logger.info('Splash image downloaded successfully');
-      } catch (error) {
-        logger.error(`Failed to download splash image: ${error.message}`);
-        throw new Error(`Failed to download splash image: ${error.message}`);
-      }
-    } else {
-      // Local file path (backwards compatibility)
-      logger.warn(`Using local splash image path (deprecated): ${appConfig.splashImage}`);
-      imageBuffer = appConfig.splashImage;
-    }
+const LINK_RULE = `
+        LinkRule("{{kotlinString:TYPE}}", "{{kotlinString:PATTERN}}", "{{kotlinString:ACTION}}"),`;
 
-    const splashPath = path.join(projectDir, 'app/src/main/res/drawable/splash_logo.png');
-    
-    if (Buffer.isBuffer(imageBuffer)) {
-      await sharp(imageBuffer)
-        .resize(512, 512, { fit: 'inside' })
-        .png()
-        .toFile(splashPath);
-    } else {
-      await sharp(imageBuffer)
-        .resize(512, 512, { fit: 'inside' })
-        .png()
-        .toFile(splashPath);
-    }
-    
-    logger.info('Splash image processed');
-  }
+/**
+ * Render the build's link routing rules as MainActivity LinkRule entries
+ */
+function renderLinkRules(linkRouting) {
+  return (linkRouting?.rules || []).map((rule) => templateRenderer.render(LINK_RULE, {
+    TYPE: rule.host ? 'host' : 'scheme',
+    PATTERN: rule.host || rule.scheme,
+    ACTION: rule.action
+  }, 'link rule')).join('');
 }
 
 /**
- * Update MainActivity.kt with configuration
+ * Render MainActivity.kt with configuration
  */
 async function updateMainActivity(projectDir, appConfig, features, isPremium) {
-  // MainActivity is directly in kotlin/ folder, not in package subdirectory
-  const mainActivityPath = path.join(projectDir, 'app/src/main/kotlin/MainActivity.kt');
-  let activity = await fs.readFile(mainActivityPath, 'utf8');
+  const profile = appConfig.webViewProfile || {};
 
-  // DON'T update package name - keep it as com.web2apk.template to match namespace in build.gradle
+  // DON'T change the package name - it stays com.web2apk.template to match namespace in build.gradle
   // The applicationId in build.gradle is what identifies the app, not the package name
 
-  // Update website URL
-  activity = activity.replace(/WEBSITE_URL = ".*"/, `WEBSITE_URL = "${appConfig.websiteUrl}"`);
-
-  // Update feature flags
-  activity = activity.replace(/ENABLE_PULL_TO_REFRESH = \w+/, `ENABLE_PULL_TO_REFRESH = ${features.pullToRefresh}`);
-  activity = activity.replace(/ENABLE_PROGRESS_BAR = \w+/, `ENABLE_PROGRESS_BAR = ${features.progressBar}`);
-  activity = activity.replace(/ENABLE_ERROR_PAGE = \w+/, `ENABLE_ERROR_PAGE = ${features.errorPage}`);
-  activity = activity.replace(/ENABLE_FILE_UPLOAD = \w+/, `ENABLE_FILE_UPLOAD = ${features.fileUpload}`);
-  activity = activity.replace(/ENABLE_DEEP_LINKING = \w+/, `ENABLE_DEEP_LINKING = ${features.deepLinking}`);
-
-  // Add/remove watermark for free users
+  // Watermark for free users
+  let watermark = '';
   if (!isPremium) {
-    const watermarkCode = `
+    watermark = `
         // Free version watermark
         webView.evaluateJavascript("""
             (function() {
@@ -361,135 +607,51 @@ async function updateMainActivity(projectDir, appConfig, features, isPremium) {
             })();
         """, null);
 `;
-    activity = activity.replace('// WATERMARK_PLACEHOLDER', watermarkCode);
   }
 
-  await fs.writeFile(mainActivityPath, activity, 'utf8');
-}
-
-// Add AdMob code for FREE users
-  if (!isPremium) {
-    const admobCode = `
-        // Initialize AdMob
-        MobileAds.initialize(this) { }
-        
-        // Load banner ad
-        val adView = findViewById<AdView>(R.id.adView)
-        adView.visibility = View.VISIBLE
-        val adRequest = AdRequest.Builder().build()
-        adView.loadAd(adRequest)
-        
-        // Optional: Interstitial ad every 3 app opens
-        val openCount = getSharedPreferences("app_prefs", MODE_PRIVATE)
-            .getInt("open_count", 0) + 1
-        getSharedPreferences("app_prefs", MODE_PRIVATE)
-            .edit().putInt("open_count", openCount).apply()
-        
-        if (openCount % 3 == 0) {
-            val interstitialAd = InterstitialAd(this)
-            interstitialAd.adUnitId = "ca-app-pub-3940256099942544/1033173712"  // ← YOUR INTERSTITIAL AD ID
-            interstitialAd.loadAd(AdRequest.Builder().build())
-            interstitialAd.adListener = object : AdListener() {
-                override fun onAdLoaded() {
-                    interstitialAd.show()
-                }
-            }
-        }
-    `;
-    
-    activity = activity.replace(
-      'setContentView(R.layout.activity_main)',
-      `setContentView(R.layout.activity_main)\n${admobCode}`
-    );
-  }
-  
-/**
- * Build APK with Gradle
- */
-async function buildWithGradle(projectDir, buildId) {
-  const gradlewPath = path.join(projectDir, 'gradlew');
-  
-  // Make gradlew executable
-  await fs.chmod(gradlewPath, '755');
-
-  const env = {
-    ...process.env,
-    ANDROID_SDK_ROOT: process.env.ANDROID_SDK_ROOT || '/opt/android-sdk',
-    JAVA_HOME: process.env.JAVA_HOME || '/usr/lib/jvm/java-17-openjdk-amd64'
-  };
-
-  try {
-    // Clean and build release APK
-    execSync('./gradlew clean assembleRelease', {
-      cwd: projectDir,
-      env,
-      stdio: 'pipe',
-      timeout: 600000 // 10 minutes
-    });
-
-    const apkPath = path.join(projectDir, 'app/build/outputs/apk/release/app-release-unsigned.apk');
-    
-    // Check if APK was created
-    try {
-      await fs.access(apkPath);
-      return apkPath;
-    } catch (error) {
-      throw new Error('APK file not found after build');
-    }
-
-  } catch (error) {
-    logger.error(`Gradle build error: ${error.message}`);
-    throw new Error(`Build failed: ${error.message}`);
-  }
-}
-
-/**
- * Sign APK with keystore
- */
-async function signAPK(unsignedApkPath, buildId) {
-  const signedApkPath = path.join(TEMP_DIR, `${buildId}-signed.apk`);
-  
-  const keystorePath = process.env.KEYSTORE_PATH;
-  const keystorePassword = process.env.KEYSTORE_PASSWORD;
-  const keyAlias = process.env.KEY_ALIAS;
-  const keyPassword = process.env.KEY_PASSWORD;
-
-  if (!keystorePath || !keystorePassword || !keyAlias || !keyPassword) {
-    logger.warn('Keystore not configured, using unsigned APK');
-    return unsignedApkPath;
-  }
-
-  try {
-    // Sign APK using apksigner
-    execSync(
-      `${process.env.ANDROID_SDK_ROOT}/build-tools/${process.env.ANDROID_BUILD_TOOLS_VERSION}/apksigner sign ` +
-      `--ks ${keystorePath} ` +
-      `--ks-pass pass:${keystorePassword} ` +
-      `--ks-key-alias ${keyAlias} ` +
-      `--key-pass pass:${keyPassword} ` +
-      `--out ${signedApkPath} ` +
-      unsignedApkPath,
-      { stdio: 'pipe' }
-    );
-
-    return signedApkPath;
-  } catch (error) {
-    logger.error(`APK signing error: ${error.message}`);
-    // Return unsigned APK if signing fails
-    return unsignedApkPath;
-  }
+  // MainActivity is directly in kotlin/ folder, not in package subdirectory
+  await templateRenderer.renderFile(projectDir, 'app/src/main/kotlin/MainActivity.kt', {
+    WEBSITE_URL: appConfig.websiteUrl,
+    ENABLE_PULL_TO_REFRESH: features.pullToRefresh,
+    ENABLE_PROGRESS_BAR: features.progressBar,
+    ENABLE_ERROR_PAGE: features.errorPage,
+    ENABLE_FILE_UPLOAD: features.fileUpload,
+    ENABLE_DEEP_LINKING: features.deepLinking,
+    ENABLE_GEOLOCATION: features.geolocation === true,
+    ENABLE_CAMERA: features.camera === true,
+    ENABLE_MICROPHONE: features.microphone === true,
+    TRUSTED_ORIGINS: getTrustedOrigins(appConfig).join(','),
+    LINK_RULES: renderLinkRules(appConfig.linkRouting),
+    OTHER_HOSTS_ACTION: appConfig.linkRouting?.otherHosts || 'inApp',
+    USER_AGENT_SUFFIX: profile.userAgentSuffix || '',
+    CACHE_MODE: CACHE_MODES[profile.cacheMode] || CACHE_MODES.default,
+    ENABLE_ZOOM: profile.zoom === true,
+    TEXT_ZOOM: profile.textZoom || 100,
+    MIXED_CONTENT_MODE: MIXED_CONTENT_MODES[profile.mixedContent] || MIXED_CONTENT_MODES.never,
+    ALLOW_FILE_ACCESS: profile.fileAccess === true,
+    ACCEPT_THIRD_PARTY_COOKIES: profile.thirdPartyCookies === true,
+    ENABLE_DOM_STORAGE: profile.domStorage ?? features.localStorage !== false,
+    BRIDGE_SHARE: features.bridgeShare === true,
+    BRIDGE_VIBRATE: features.bridgeVibrate === true,
+    BRIDGE_TOAST: features.bridgeToast === true,
+    BRIDGE_CLIPBOARD: features.bridgeClipboard === true,
+    BRIDGE_APP_INFO: features.bridgeAppInfo === true,
+    BRIDGE_ORIGINS: (appConfig.bridgeOrigins?.length > 0 ? appConfig.bridgeOrigins : getTrustedOrigins(appConfig)).join(','),
+    SPLASH_MIN_DURATION_MS: appConfig.splashMinDuration || 0,
+    SPLASH_WAIT_FOR_PAGE_LOAD: appConfig.splashWaitForPageLoad === true,
+    WATERMARK: watermark
+  });
 }
 
 /**
- * Escape XML special characters
+ * Render the Trusted Web Activity's launch URL and the asset statement that
+ * links the app to the site
  */
-function escapeXml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+async function updateTwaConfig(projectDir, appConfig) {
+  await templateRenderer.renderFile(projectDir, 'app/src/main/res/values/twa.xml', {
+    LAUNCH_URL: appConfig.websiteUrl,
+    ASSET_STATEMENTS: assetLinksService.getSiteStatement(appConfig.websiteUrl)
+  });
 }
 
 module.exports = {
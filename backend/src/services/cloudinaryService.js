@@ -10,40 +10,46 @@ cloudinary.config({
 });
 
 /**
- * Upload APK to Cloudinary
+ * Upload a build artifact (APK, AAB or source zip) to Cloudinary as a raw file
  * @param {string} localPath - Local file path
  * @param {string} buildId - Build ID for naming
+ * @param {string} type - Artifact type ('apk', 'aab' or 'source')
  * @returns {Promise<{url: string, publicId: string, size: number}>}
  */
-async function uploadAPK(localPath, buildId) {
+async function uploadArtifact(localPath, buildId, type) {
+  const label = type.toUpperCase();
+
   try {
-    logger.info(`Uploading APK to Cloudinary: ${buildId}`);
+    logger.info(`Uploading ${label} to Cloudinary: ${buildId}`);
 
-    // Cloudinary doesn't allow .apk extension, so we rename to .zip
-    // APK files are just ZIP files with a different extension
-    const fs = require('fs');
-    const path = require('path');
-    const tempZipPath = localPath.replace('.apk', '.zip');
+    // Cloudinary doesn't allow .apk/.aab extensions, so we rename to .zip
+    // APK and AAB files are just ZIP files with a different extension
+    const isZip = localPath.endsWith('.zip');
+    const tempZipPath = isZip ? localPath : localPath.replace(/\.[^./]+$/, '.zip');
     
     // Copy file with .zip extension
-    fs.copyFileSync(localPath, tempZipPath);
+    if (!isZip) {
+      fs.copyFileSync(localPath, tempZipPath);
+    }
 
     const result = await cloudinary.uploader.upload(tempZipPath, {
       resource_type: 'raw',
-      public_id: `apks/${buildId}`,
+      public_id: `${type}s/${buildId}`,
       folder: 'web2apk-builds',
       type: 'upload',
       access_mode: 'public'
     });
 
     // Clean up temp zip file
-    try {
-      fs.unlinkSync(tempZipPath);
-    } catch (err) {
-      logger.warn(`Failed to delete temp zip: ${err.message}`);
+    if (!isZip) {
+      try {
+        fs.unlinkSync(tempZipPath);
+      } catch (err) {
+        logger.warn(`Failed to delete temp zip: ${err.message}`);
+      }
     }
 
-    logger.info(`APK uploaded successfully: ${result.secure_url}`);
+    logger.info(`${label} uploaded successfully: ${result.secure_url}`);
     logger.info(`Cloudinary Public ID: ${result.public_id}`);
     logger.info(`File size: ${(result.bytes / (1024 * 1024)).toFixed(2)} MB`);
 
@@ -56,7 +62,7 @@ async function uploadAPK(localPath, buildId) {
     };
   } catch (error) {
     logger.error(`Cloudinary upload failed: ${error.message}`);
-    throw new Error(`Failed to upload APK to cloud storage: ${error.message}`);
+    throw new Error(`Failed to upload ${label} to cloud storage: ${error.message}`);
   }
 }
 
@@ -115,7 +121,7 @@ function isConfigured() {
 }
 
 module.exports = {
-  uploadAPK,
+  uploadArtifact,
   getDownloadURL,
   deleteAPK,
   isConfigured
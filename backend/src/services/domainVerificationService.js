@@ -0,0 +1,107 @@
+const dns = require('dns');
+const { fetchUrl } = require('../utils/httpFetcher');
+const { parseTags, extractHead } = require('../utils/html');
+const logger = require('../utils/logger');
+
+// Order methods are tried in when the user doesn't pick one
+const METHODS = ['dns', 'file', 'meta'];
+
+/**
+ * Default TXT resolver. DOMAIN_VERIFICATION_DNS_SERVERS (comma separated)
+ * points it at specific name servers, e.g. a local stand-in.
+ */
+function createDnsResolver() {
+  const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+  const servers = (process.env.DOMAIN_VERIFICATION_DNS_SERVERS || '').split(',').map((server) => server.trim()).filter(Boolean);
+
+  if (servers.length > 0) {
+    resolver.setServers(servers);
+  }
+
+  return {
+    resolveTxt: async (hostname) => (await resolver.resolveTxt(hostname)).map((chunks) => chunks.join(''))
+  };
+}
+
+/**
+ * Default fetcher: the SSRF-guarded HTTP client used for all user URLs
+ */
+const defaultFetcher = {
+  fetchText: async (url) => (await fetchUrl(url, { maxBytes: 512 * 1024 })).data
+};
+
+/**
+ * Create a verifier from a resolver ({ resolveTxt(hostname) -> string[] }) and
+ * a fetcher ({ fetchText(url) -> string }), so verification can run against
+ * local stand-ins instead of real DNS and HTTP
+ */
+function createVerifier({ resolver = createDnsResolver(), fetcher = defaultFetcher } = {}) {
+  const checks = {
+    dns: async (instructions) => {
+      const records = await resolver.resolveTxt(instructions.dns.name);
+      if (!records.some((record) => record.trim() === instructions.dns.value)) {
+        throw new Error(`No TXT record "${instructions.dns.value}" found on ${instructions.dns.name}`);
+      }
+    },
+
+    file: async (instructions) => {
+      const content = await fetcher.fetchText(instructions.file.url);
+      if (typeof content !== 'string' || !content.split(/\r?\n/).some((line) => line.trim() === instructions.file.content)) {
+        throw new Error(`${instructions.file.url} does not contain "${instructions.file.content}"`);
+      }
+    },
+
+    meta: async (instructions) => {
+      const html = await fetcher.fetchText(instructions.meta.url);
+      const found = parseTags(extractHead(typeof html === 'string' ? html : ''), 'meta')
+        .some((meta) => meta.name === instructions.meta.name && (meta.content || '').trim() === instructions.meta.content);
+
+      if (!found) {
+        throw new Error(`No <meta name="${instructions.meta.name}"> tag with the verification token found on ${instructions.meta.url}`);
+      }
+    }
+  };
+
+  /**
+   * Check a domain's verification token with one method, or every method until one succeeds
+   * @param {object} domain - Domain document
+   * @param {string} [method] - dns, file or meta
+   * @returns {Promise<{verified: boolean, method: string|null, error: string|null}>}
+   */
+  async function verify(domain, method = null) {
+    const instructions = domain.instructions;
+    const failures = [];
+
+    for (const candidate of method ? [method] : METHODS) {
+      try {
+        await checks[candidate](instructions);
+        logger.info(`Domain ${domain.hostname} verified via ${candidate} for user ${domain.user}`);
+        return { verified: true, method: candidate, error: null };
+      } catch (error) {
+        failures.push(`${candidate}: ${error.message}`);
+      }
+    }
+
+    return { verified: false, method: null, error: failures.join('; ') };
+  }
+
+  return { verify };
+}
+
+let defaultVerifier = null;
+
+/**
+ * Verify a domain with real DNS and HTTP
+ */
+async function verifyDomain(domain, method = null) {
+  if (!defaultVerifier) {
+    defaultVerifier = createVerifier();
+  }
+
+  return defaultVerifier.verify(domain, method);
+}
+
+module.exports = {
+  createVerifier,
+  verifyDomain
+};
@@ -0,0 +1,330 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { spawn, execFileSync } = require('child_process');
+const readline = require('readline');
+const logger = require('../../utils/logger');
+const { createCancelledError } = require('../../utils/cancellation');
+
+const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, '../../../temp');
+const GRADLE_TIMEOUT_MS = parseInt(process.env.GRADLE_TIMEOUT_MS) || 600000; // 10 minutes
+
+// Shared by every build on this worker. Gradle guards its caches with file
+// locks, so concurrent builds (and several workers on one volume) can share it.
+const GRADLE_USER_HOME = process.env.GRADLE_USER_HOME || path.join(os.homedir(), '.gradle');
+const GRADLE_DAEMON_ENABLED = process.env.GRADLE_DAEMON !== 'false';
+const GRADLE_DAEMON_IDLE_TIMEOUT_MS = parseInt(process.env.GRADLE_DAEMON_IDLE_TIMEOUT_MS) || 3 * 60 * 60 * 1000; // 3 hours
+
+/**
+ * Gradle tasks and output locations for each artifact type
+ */
+const GRADLE_OUTPUTS = {
+  apk: {
+    task: 'assembleRelease',
+    path: 'app/build/outputs/apk/release/app-release-unsigned.apk'
+  },
+  aab: {
+    task: 'bundleRelease',
+    path: 'app/build/outputs/bundle/release/app-release.aab'
+  }
+};
+
+/**
+ * Environment for Gradle runs - every run shares the same Gradle user home
+ * so dependencies, the wrapper distribution and the build cache are reused
+ */
+function getGradleEnv() {
+  return {
+    ...process.env,
+    ANDROID_SDK_ROOT: process.env.ANDROID_SDK_ROOT || '/opt/android-sdk',
+    JAVA_HOME: process.env.JAVA_HOME || '/usr/lib/jvm/java-17-openjdk-amd64',
+    GRADLE_USER_HOME
+  };
+}
+
+/**
+ * Flags shared by builds and warm-up. Daemons are only reused when these
+ * (and the project's JVM args) match, so both must pass the same ones.
+ */
+function getGradleFlags() {
+  if (!GRADLE_DAEMON_ENABLED) {
+    return ['--no-daemon', '--build-cache', '--console=plain'];
+  }
+
+  return [
+    '--daemon',
+    '--build-cache',
+    '--console=plain',
+    `-Dorg.gradle.daemon.idletimeout=${GRADLE_DAEMON_IDLE_TIMEOUT_MS}`
+  ];
+}
+
+/**
+ * Run the Gradle wrapper asynchronously, passing every output line to onLine
+ * @returns {Promise<void>} Resolves when Gradle exits successfully
+ */
+function runGradle(projectDir, args, env, onLine, signal) {
+  return new Promise((resolve, reject) => {
+    // Own process group so the whole tree (wrapper + JVM) can be killed at once
+    const child = spawn('./gradlew', args, { cwd: projectDir, env, detached: true });
+    const tail = [];
+    let timedOut = false;
+    let cancelled = false;
+
+    const handleLine = (line) => {
+      tail.push(line);
+      if (tail.length > 20) {
+        tail.shift();
+      }
+      onLine(line);
+    };
+
+    readline.createInterface({ input: child.stdout }).on('line', handleLine);
+    readline.createInterface({ input: child.stderr }).on('line', handleLine);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child, 'SIGKILL');
+    }, GRADLE_TIMEOUT_MS);
+
+    const onAbort = () => {
+      cancelled = true;
+      killProcessTree(child, 'SIGTERM');
+      // Escalate if Gradle ignores SIGTERM
+      setTimeout(() => killProcessTree(child, 'SIGKILL'), 5000).unref();
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    const finish = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    child.on('error', (error) => {
+      finish();
+      reject(error);
+    });
+
+    child.on('close', (code, exitSignal) => {
+      finish();
+
+      if (cancelled) {
+        return reject(createCancelledError());
+      }
+
+      if (code === 0) {
+        return resolve();
+      }
+
+      const reason = timedOut
+        ? `timed out after ${Math.round(GRADLE_TIMEOUT_MS / 1000)}s`
+        : exitSignal ? `killed by ${exitSignal}` : `exited with code ${code}`;
+      const error = new Error(`Gradle ${reason}\n${tail.join('\n')}`);
+      error.code = timedOut ? 'GRADLE_TIMEOUT' : 'GRADLE_FAILED';
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Send a signal to every process in a detached child's process group
+ */
+function killProcessTree(child, signal) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+
+  try {
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    // Process group already gone - fall back to the direct child
+    try {
+      child.kill(signal);
+    } catch (killError) {
+      logger.debug(`Failed to kill Gradle process: ${killError.message}`);
+    }
+  }
+}
+
+/**
+ * Build APK and/or AAB with Gradle
+ * @returns {Promise<{apkPath: string|null, aabPath: string|null, daemon: string}>}
+ */
+async function buildWithGradle(projectDir, buildId, outputFormat = 'apk', onLog = () => {}, signal = null) {
+  const gradlewPath = path.join(projectDir, 'gradlew');
+  
+  // Make gradlew executable
+  await fs.chmod(gradlewPath, '755');
+
+  const types = outputFormat === 'both' ? ['apk', 'aab'] : [outputFormat];
+  const tasks = types.map(type => GRADLE_OUTPUTS[type].task);
+
+  // Gradle announces when it has to start a daemon; otherwise a warm one was reused
+  let daemon = GRADLE_DAEMON_ENABLED ? 'warm' : 'disabled';
+  const onLine = (line) => {
+    if (GRADLE_DAEMON_ENABLED && line.startsWith('Starting a Gradle Daemon')) {
+      daemon = 'cold';
+    }
+    onLog(line);
+  };
+
+  try {
+    // The project directory is fresh, so no clean is needed - outputs come from the build cache where possible
+    onLog(`$ ./gradlew ${tasks.join(' ')}`);
+    await runGradle(projectDir, [...tasks, ...getGradleFlags()], getGradleEnv(), onLine, signal);
+  } catch (error) {
+    if (error.code === 'BUILD_CANCELLED') {
+      throw error;
+    }
+    logger.error(`Gradle build error: ${error.message}`);
+    const failure = new Error(`Build failed: ${error.message}`);
+    failure.code = error.code;
+    throw failure;
+  }
+
+  const outputs = { apkPath: null, aabPath: null, daemon };
+
+  // Check that every requested artifact was created
+  for (const type of types) {
+    const artifactPath = path.join(projectDir, GRADLE_OUTPUTS[type].path);
+    try {
+      await fs.access(artifactPath);
+    } catch (error) {
+      throw new Error(`${type.toUpperCase()} file not found after build`);
+    }
+    outputs[`${type}Path`] = artifactPath;
+  }
+
+  return outputs;
+}
+
+/**
+ * Start a Gradle daemon and fetch the wrapper distribution before the first
+ * job arrives. Runs `help` in a scratch project carrying the template's wrapper
+ * and gradle.properties so the daemon matches what builds will ask for.
+ * @param {string} templateDir - Template whose wrapper and JVM settings builds use
+ */
+async function warmUp(templateDir) {
+  if (!GRADLE_DAEMON_ENABLED) {
+    return;
+  }
+
+  const scratchDir = path.join(TEMP_DIR, `gradle-warmup-${process.pid}`);
+  const startedAt = Date.now();
+
+  try {
+    await fs.mkdir(scratchDir, { recursive: true });
+    await fs.cp(path.join(templateDir, 'gradle'), path.join(scratchDir, 'gradle'), { recursive: true });
+    await fs.copyFile(path.join(templateDir, 'gradlew'), path.join(scratchDir, 'gradlew'));
+    await fs.copyFile(path.join(templateDir, 'gradle.properties'), path.join(scratchDir, 'gradle.properties'));
+    await fs.writeFile(path.join(scratchDir, 'settings.gradle'), 'rootProject.name = "warmup"\n', 'utf8');
+    await fs.chmod(path.join(scratchDir, 'gradlew'), '755');
+
+    await runGradle(scratchDir, ['help', ...getGradleFlags()], getGradleEnv(), () => {}, null);
+    logger.info(`Gradle daemon warmed up in ${Date.now() - startedAt}ms (GRADLE_USER_HOME=${GRADLE_USER_HOME})`);
+  } catch (error) {
+    logger.warn(`Gradle warm-up failed: ${error.message}`);
+  } finally {
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Sign APK with the app's keystore
+ */
+async function signAPK(unsignedApkPath, buildId, signingKey) {
+  const signedApkPath = path.join(TEMP_DIR, `${buildId}-signed.apk`);
+  const buildToolsVersion = process.env.ANDROID_BUILD_TOOLS_VERSION || '34.0.0';
+  const apksignerPath = `${process.env.ANDROID_SDK_ROOT}/build-tools/${buildToolsVersion}/apksigner`;
+
+  try {
+    // Sign APK using apksigner - passwords are read from the environment
+    execFileSync(apksignerPath, [
+      'sign',
+      '--ks', signingKey.path,
+      '--ks-pass', 'env:WEB2APK_STORE_PASS',
+      '--ks-key-alias', signingKey.keyAlias,
+      '--key-pass', 'env:WEB2APK_KEY_PASS',
+      '--out', signedApkPath,
+      unsignedApkPath
+    ], {
+      stdio: 'pipe',
+      env: getSigningEnv(signingKey)
+    });
+
+    return signedApkPath;
+  } catch (error) {
+    logger.error(`APK signing error: ${error.message}`);
+    throw new Error(`APK signing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Sign AAB with the app's keystore
+ * apksigner cannot sign bundles, so jarsigner is used with the same keystore
+ */
+async function signAAB(unsignedAabPath, buildId, signingKey) {
+  const signedAabPath = path.join(TEMP_DIR, `${buildId}-signed.aab`);
+  const javaHome = process.env.JAVA_HOME || '/usr/lib/jvm/java-17-openjdk-amd64';
+
+  try {
+    execFileSync(`${javaHome}/bin/jarsigner`, [
+      '-sigalg', 'SHA256withRSA',
+      '-digestalg', 'SHA-256',
+      '-keystore', signingKey.path,
+      '-storepass:env', 'WEB2APK_STORE_PASS',
+      '-keypass:env', 'WEB2APK_KEY_PASS',
+      '-signedjar', signedAabPath,
+      unsignedAabPath,
+      signingKey.keyAlias
+    ], {
+      stdio: 'pipe',
+      env: getSigningEnv(signingKey)
+    });
+
+    return signedAabPath;
+  } catch (error) {
+    logger.error(`AAB signing error: ${error.message}`);
+    throw new Error(`AAB signing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Sign an artifact with the app's keystore
+ * @param {string} unsignedPath - Artifact produced by build()
+ * @param {string} type - 'apk' or 'aab'
+ */
+function sign(unsignedPath, type, buildId, signingKey) {
+  return type === 'aab'
+    ? signAAB(unsignedPath, buildId, signingKey)
+    : signAPK(unsignedPath, buildId, signingKey);
+}
+
+/**
+ * Environment carrying keystore passwords to the signing tools
+ */
+function getSigningEnv(signingKey) {
+  return {
+    ...process.env,
+    WEB2APK_STORE_PASS: signingKey.storePassword,
+    WEB2APK_KEY_PASS: signingKey.keyPassword
+  };
+}
+
+module.exports = {
+  name: 'gradle',
+  requiresAndroidSdk: true,
+  requiresKeystore: true,
+  build: buildWithGradle,
+  sign,
+  warmUp
+};
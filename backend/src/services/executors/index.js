@@ -0,0 +1,45 @@
+const gradleExecutor = require('./gradleExecutor');
+const simulatedExecutor = require('./simulatedExecutor');
+
+/**
+ * Build executors turn a rendered Android project into signed artifacts.
+ * Each executor exposes:
+ *   name                - executor name
+ *   requiresAndroidSdk  - whether builds need ANDROID_SDK_ROOT on this server
+ *   requiresKeystore    - whether sign() needs the app's keystore
+ *   build(projectDir, buildId, outputFormat, onLog, signal) -> { apkPath, aabPath, daemon }
+ *   sign(unsignedPath, type, buildId, signingKey) -> signed artifact path
+ *   warmUp(templateDir) - optional, prepares the executor before the first job
+ */
+const EXECUTORS = {
+  gradle: gradleExecutor,
+  simulated: simulatedExecutor
+};
+
+/**
+ * Get the executor selected by BUILD_EXECUTOR (defaults to gradle)
+ */
+function getExecutor() {
+  const name = process.env.BUILD_EXECUTOR || 'gradle';
+  const executor = EXECUTORS[name];
+
+  if (!executor) {
+    throw new Error(`Unknown BUILD_EXECUTOR "${name}". Use one of: ${Object.keys(EXECUTORS).join(', ')}`);
+  }
+
+  return executor;
+}
+
+/**
+ * Check at startup that BUILD_EXECUTOR names a known executor, so a typo
+ * stops the process instead of failing every build request
+ * @returns {string} Name of the configured executor
+ */
+function assertExecutorConfigured() {
+  return getExecutor().name;
+}
+
+module.exports = {
+  getExecutor,
+  assertExecutorConfigured
+};
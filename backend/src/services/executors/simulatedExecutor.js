@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const logger = require('../../utils/logger');
+const { createCancelledError } = require('../../utils/cancellation');
+
+const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, '../../../temp');
+
+/**
+ * Simulated executor settings
+ * SIMULATED_BUILD_DELAY_MS      - total time the fake Gradle run takes
+ * SIMULATED_BUILD_FAIL_AT       - always fail at 'build' or 'sign'
+ * SIMULATED_BUILD_FAILURE_RATE  - probability (0-1) that a build fails at random
+ */
+const getSettings = () => {
+  // 0 is a valid delay (tests), only a missing or invalid value falls back
+  const delayMs = parseInt(process.env.SIMULATED_BUILD_DELAY_MS);
+
+  return {
+    delayMs: Number.isNaN(delayMs) ? 2000 : delayMs,
+    failAt: process.env.SIMULATED_BUILD_FAIL_AT || null,
+    failureRate: parseFloat(process.env.SIMULATED_BUILD_FAILURE_RATE) || 0
+  };
+};
+
+// Mirrors the Gradle output locations so the project layout looks the same
+const OUTPUT_PATHS = {
+  apk: 'app/build/outputs/apk/release/app-release-unsigned.apk',
+  aab: 'app/build/outputs/bundle/release/app-release.aab'
+};
+
+const SIMULATED_TASKS = [
+  ':app:preBuild',
+  ':app:mergeReleaseResources',
+  ':app:processReleaseManifest',
+  ':app:compileReleaseKotlin',
+  ':app:dexBuilderRelease',
+  ':app:packageRelease'
+];
+
+/**
+ * Wait for the given time, rejecting early if the build is cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Throw an injected failure if configured for this stage
+ */
+function maybeFail(stage, message) {
+  const { failAt, failureRate } = getSettings();
+
+  if (failAt === stage || (stage === 'build' && failureRate > 0 && Math.random() < failureRate)) {
+    const error = new Error(message);
+    error.code = stage === 'build' ? 'GRADLE_FAILED' : 'SIGNING_FAILED';
+    throw error;
+  }
+}
+
+/**
+ * Write a zip holding the rendered manifest and resources.
+ * APKs keep them at the root; bundles keep them in the base module.
+ */
+async function writeDummyArtifact(projectDir, outputPath, type, buildId) {
+  const mainDir = path.join(projectDir, 'app/src/main');
+  const prefix = type === 'aab' ? 'base/' : '';
+  const manifestName = type === 'aab' ? 'base/manifest/AndroidManifest.xml' : 'AndroidManifest.xml';
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+  await new Promise((resolve, reject) => {
+    const output = createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 1 } });
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    archive.file(path.join(mainDir, 'AndroidManifest.xml'), { name: manifestName });
+    archive.directory(path.join(mainDir, 'res'), `${prefix}res`);
+    archive.append(`Simulated ${type.toUpperCase()} for build ${buildId}. Not installable.\n`, {
+      name: `${prefix}META-INF/SIMULATED`
+    });
+    archive.finalize();
+  });
+}
+
+/**
+ * Pretend to run Gradle: stream task output over the configured delay and
+ * produce dummy artifacts
+ * @returns {Promise<{apkPath: string|null, aabPath: string|null, daemon: null}>}
+ */
+async function build(projectDir, buildId, outputFormat = 'apk', onLog = () => {}, signal = null) {
+  const { delayMs } = getSettings();
+  const types = outputFormat === 'both' ? ['apk', 'aab'] : [outputFormat];
+  const stepDelay = Math.round(delayMs / SIMULATED_TASKS.length);
+
+  onLog(`$ ./gradlew clean ${types.map(type => (type === 'aab' ? 'bundleRelease' : 'assembleRelease')).join(' ')} (simulated)`);
+
+  for (const task of SIMULATED_TASKS) {
+    await sleep(stepDelay, signal);
+    onLog(`> Task ${task}`);
+  }
+
+  maybeFail('build', 'Build failed: Gradle exited with code 1 (simulated failure)');
+
+  const outputs = { apkPath: null, aabPath: null, daemon: null };
+  for (const type of types) {
+    const outputPath = path.join(projectDir, OUTPUT_PATHS[type]);
+    await writeDummyArtifact(projectDir, outputPath, type, buildId);
+    outputs[`${type}Path`] = outputPath;
+  }
+
+  onLog('BUILD SUCCESSFUL (simulated)');
+  logger.info(`Simulated build finished: ${buildId}`);
+
+  return outputs;
+}
+
+/**
+ * "Sign" an artifact by copying it - the simulated executor has no keystore
+ */
+async function sign(unsignedPath, type, buildId) {
+  maybeFail('sign', `${type.toUpperCase()} signing failed: simulated failure`);
+
+  const signedPath = path.join(TEMP_DIR, `${buildId}-signed.${type}`);
+  await fs.copyFile(unsignedPath, signedPath);
+  return signedPath;
+}
+
+module.exports = {
+  name: 'simulated',
+  requiresAndroidSdk: false,
+  requiresKeystore: false,
+  build,
+  sign
+};
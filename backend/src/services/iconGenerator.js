@@ -0,0 +1,216 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+// Scale factor of each launcher density bucket relative to mdpi
+const DENSITIES = {
+  'mipmap-mdpi': 1,
+  'mipmap-hdpi': 1.5,
+  'mipmap-xhdpi': 2,
+  'mipmap-xxhdpi': 3,
+  'mipmap-xxxhdpi': 4
+};
+
+// Adaptive icon geometry in dp: layers are 108x108, the launcher shows the
+// centre 72x72 and only the centre 66x66 is guaranteed to survive any mask
+const LEGACY_SIZE_DP = 48;
+const LAYER_SIZE_DP = 108;
+const VISIBLE_SIZE_DP = 72;
+const SAFE_ZONE_DP = 66;
+
+// Android 12 splash screen geometry in dp: the icon canvas is 288x288 and
+// masked to a 192dp circle; the branding image is 200x80
+const SPLASH_ICON_SIZE_DP = 288;
+const SPLASH_ICON_CONTENT_DP = 136;
+const BRANDING_WIDTH_DP = 200;
+const BRANDING_HEIGHT_DP = 80;
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Fit an image into the safe zone of a transparent adaptive layer
+ */
+async function placeInSafeZone(image, layerSize) {
+  const safeSize = Math.round(layerSize * SAFE_ZONE_DP / LAYER_SIZE_DP);
+  const content = await sharp(image)
+    .resize(safeSize, safeSize, { fit: 'contain', background: TRANSPARENT })
+    .png()
+    .toBuffer();
+
+  return sharp({ create: { width: layerSize, height: layerSize, channels: 4, background: TRANSPARENT } })
+    .composite([{ input: content, gravity: 'centre' }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Background layer from an image (cropped to fill) or a solid colour
+ */
+async function renderBackground(image, color, layerSize) {
+  if (image) {
+    return sharp(image).resize(layerSize, layerSize, { fit: 'cover' }).png().toBuffer();
+  }
+
+  return sharp({ create: { width: layerSize, height: layerSize, channels: 4, background: color } })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Monochrome layer: a white silhouette the launcher tints with the user's theme.
+ * Uses the image's transparency as the shape, or - for fully opaque images -
+ * its darker parts.
+ */
+async function renderMonochrome(image, layerSize) {
+  const placed = await placeInSafeZone(image, layerSize);
+  const { data, info } = await sharp(placed).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+  const source = await sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  let opaque = true;
+  for (let i = 3; i < source.data.length; i += 4) {
+    if (source.data[i] < 255) {
+      opaque = false;
+      break;
+    }
+  }
+
+  const silhouette = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    silhouette[i] = 255;
+    silhouette[i + 1] = 255;
+    silhouette[i + 2] = 255;
+    silhouette[i + 3] = opaque
+      ? Math.round((255 - luminance) * data[i + 3] / 255)
+      : data[i + 3];
+  }
+
+  return sharp(silhouette, { raw: { width: info.width, height: info.height, channels: 4 } })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Pre-Android 8 icons: the visible part of the adaptive icon, square and round
+ */
+async function renderLegacy(background, foreground, layerSize, legacySize) {
+  const visibleSize = Math.round(layerSize * VISIBLE_SIZE_DP / LAYER_SIZE_DP);
+  const offset = Math.round((layerSize - visibleSize) / 2);
+
+  // Sharp crops before compositing within one pipeline, so flatten the layers first
+  const layered = await sharp(background)
+    .composite([{ input: foreground }])
+    .png()
+    .toBuffer();
+
+  const composed = await sharp(layered)
+    .extract({ left: offset, top: offset, width: visibleSize, height: visibleSize })
+    .resize(legacySize, legacySize)
+    .png()
+    .toBuffer();
+
+  const radius = legacySize / 2;
+  const circle = Buffer.from(
+    `<svg width="${legacySize}" height="${legacySize}"><circle cx="${radius}" cy="${radius}" r="${radius}" fill="#fff"/></svg>`
+  );
+  const round = await sharp(composed)
+    .composite([{ input: circle, blend: 'dest-in' }])
+    .png()
+    .toBuffer();
+
+  return { square: composed, round };
+}
+
+/**
+ * Generate adaptive, round, monochrome and legacy launcher icons for every density
+ * @param {string} projectDir - Android project root
+ * @param {object} layers - Image buffers and colour
+ * @param {Buffer} layers.foreground - Foreground artwork (the app icon unless overridden)
+ * @param {Buffer|null} layers.background - Background image, replaces backgroundColor
+ * @param {string} layers.backgroundColor - Background colour, e.g. #FFFFFF
+ * @param {Buffer|null} layers.monochrome - Themed icon artwork, derived from the foreground if absent
+ */
+async function generateLauncherIcons(projectDir, { foreground, background = null, backgroundColor = '#FFFFFF', monochrome = null }) {
+  const resDir = path.join(projectDir, 'app/src/main/res');
+
+  for (const [folder, scale] of Object.entries(DENSITIES)) {
+    const layerSize = Math.round(LAYER_SIZE_DP * scale);
+    const legacySize = Math.round(LEGACY_SIZE_DP * scale);
+    const outputDir = path.join(resDir, folder);
+
+    const foregroundLayer = await placeInSafeZone(foreground, layerSize);
+    const backgroundLayer = await renderBackground(background, backgroundColor, layerSize);
+    const monochromeLayer = await renderMonochrome(monochrome || foreground, layerSize);
+    const legacy = await renderLegacy(backgroundLayer, foregroundLayer, layerSize, legacySize);
+
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(path.join(outputDir, 'ic_launcher_foreground.png'), foregroundLayer);
+    await fs.writeFile(path.join(outputDir, 'ic_launcher_background.png'), backgroundLayer);
+    await fs.writeFile(path.join(outputDir, 'ic_launcher_monochrome.png'), monochromeLayer);
+    await fs.writeFile(path.join(outputDir, 'ic_launcher.png'), legacy.square);
+    await fs.writeFile(path.join(outputDir, 'ic_launcher_round.png'), legacy.round);
+  }
+
+  logger.info('Launcher icons generated (adaptive, round, monochrome and legacy)');
+}
+
+/**
+ * Generate the splash screen icon and optional branding image for every density.
+ * Without a splash image the adaptive foreground layer is reused - its
+ * visible 72dp area maps exactly onto the splash icon's 192dp circle - so
+ * generateLauncherIcons must have run first.
+ * @param {string} projectDir - Android project root
+ * @param {object} images - Image buffers
+ * @param {Buffer|null} images.icon - Splash icon artwork
+ * @param {Buffer|null} images.branding - Branding image shown at the bottom (Android 12+)
+ */
+async function generateSplashImages(projectDir, { icon = null, branding = null }) {
+  const resDir = path.join(projectDir, 'app/src/main/res');
+  const adaptiveForeground = icon
+    ? null
+    : await fs.readFile(path.join(resDir, 'mipmap-xxxhdpi/ic_launcher_foreground.png'));
+
+  for (const [folder, scale] of Object.entries(DENSITIES)) {
+    const iconSize = Math.round(SPLASH_ICON_SIZE_DP * scale);
+    const outputDir = path.join(resDir, folder.replace('mipmap', 'drawable'));
+
+    let splashIcon;
+    if (icon) {
+      const contentSize = Math.round(SPLASH_ICON_CONTENT_DP * scale);
+      const content = await sharp(icon)
+        .resize(contentSize, contentSize, { fit: 'contain', background: TRANSPARENT })
+        .png()
+        .toBuffer();
+
+      splashIcon = await sharp({ create: { width: iconSize, height: iconSize, channels: 4, background: TRANSPARENT } })
+        .composite([{ input: content, gravity: 'centre' }])
+        .png()
+        .toBuffer();
+    } else {
+      splashIcon = await sharp(adaptiveForeground).resize(iconSize, iconSize).png().toBuffer();
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(path.join(outputDir, 'splash_icon.png'), splashIcon);
+
+    if (branding) {
+      const brandingImage = await sharp(branding)
+        .resize(Math.round(BRANDING_WIDTH_DP * scale), Math.round(BRANDING_HEIGHT_DP * scale), {
+          fit: 'contain',
+          background: TRANSPARENT
+        })
+        .png()
+        .toBuffer();
+
+      await fs.writeFile(path.join(outputDir, 'splash_branding.png'), brandingImage);
+    }
+  }
+
+  logger.info(`Splash screen images generated${branding ? ' (with branding)' : ''}`);
+}
+
+module.exports = {
+  generateLauncherIcons,
+  generateSplashImages
+};
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+
+// Limits on user supplied snippets - they are stored with the Build
+const MAX_INJECTIONS = 10;
+const MAX_SNIPPET_LENGTH = 20000;
+const MAX_TOTAL_LENGTH = 50000;
+
+// Where the generated scripts go in the Android project, read by MainActivity
+const ASSET_DIR = 'app/src/main/assets/injected';
+const RUN_AT_FILES = {
+  documentStart: 'document_start.js',
+  pageFinished: 'page_finished.js'
+};
+
+/**
+ * Check a JavaScript snippet compiles, without running it
+ * @returns {string|null} Syntax error message
+ */
+function findSyntaxError(code) {
+  try {
+    new vm.Script(`(function() {\n${code}\n})`);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Turn a URL pattern where * matches anything into a regular expression source
+ */
+function patternToRegExpSource(pattern) {
+  return `^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*')}$`;
+}
+
+/**
+ * Wrap one snippet so it only runs on matching pages and can't break the others
+ */
+function wrapInjection({ type, code, urlPatterns }) {
+  const patterns = (urlPatterns || []).map((pattern) => `/${patternToRegExpSource(pattern)}/`);
+  const body = type === 'css'
+    ? `var style = document.createElement('style');
+    style.textContent = ${JSON.stringify(code)};
+    (document.head || document.documentElement).appendChild(style);`
+    : code;
+
+  return `(function() {
+  var patterns = [${patterns.join(', ')}];
+  if (patterns.length > 0 && !patterns.some(function(pattern) { return pattern.test(location.href); })) {
+    return;
+  }
+  try {
+    ${body}
+  } catch (error) {
+    console.error('Injected ${type} failed: ' + error);
+  }
+})();`;
+}
+
+/**
+ * Build the script run at each point of a page load
+ * @param {Array<{type: string, code: string, runAt: string, urlPatterns: string[]}>} injections
+ * @param {string[]} trustedOrigins - Origins injected snippets may run on
+ * @returns {{documentStart: string|null, pageFinished: string|null}}
+ */
+function buildInjectionScripts(injections, trustedOrigins) {
+  const scripts = { documentStart: null, pageFinished: null };
+
+  for (const runAt of Object.keys(scripts)) {
+    const snippets = (injections || []).filter((injection) => injection.runAt === runAt);
+    if (snippets.length === 0) {
+      continue;
+    }
+
+    // Never run on other sites the user navigates to inside the app
+    scripts[runAt] = `(function() {
+if (${JSON.stringify(trustedOrigins)}.indexOf(location.origin) === -1) {
+  return;
+}
+${snippets.map(wrapInjection).join('\n')}
+})();
+`;
+  }
+
+  return scripts;
+}
+
+/**
+ * Write the injection scripts into the generated project's assets
+ * @param {string} projectDir - Generated Android project
+ * @returns {Promise<number>} Number of scripts written
+ */
+async function writeInjectionScripts(projectDir, injections, trustedOrigins) {
+  const scripts = buildInjectionScripts(injections, trustedOrigins);
+  let written = 0;
+
+  for (const [runAt, script] of Object.entries(scripts)) {
+    if (script) {
+      await fs.mkdir(path.join(projectDir, ASSET_DIR), { recursive: true });
+      await fs.writeFile(path.join(projectDir, ASSET_DIR, RUN_AT_FILES[runAt]), script, 'utf8');
+      written++;
+    }
+  }
+
+  return written;
+}
+
+module.exports = {
+  MAX_INJECTIONS,
+  MAX_SNIPPET_LENGTH,
+  MAX_TOTAL_LENGTH,
+  findSyntaxError,
+  writeInjectionScripts
+};
@@ -0,0 +1,372 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const archiver = require('archiver');
+const Keystore = require('../models/Keystore');
+const { encrypt } = require('../utils/encryption');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, '../../temp');
+const KEY_VALIDITY_DAYS = parseInt(process.env.KEYSTORE_VALIDITY_DAYS) || 10000;
+
+/**
+ * Path to the keytool binary of the configured JDK
+ */
+function getKeytoolPath() {
+  const javaHome = process.env.JAVA_HOME || '/usr/lib/jvm/java-17-openjdk-amd64';
+  return path.join(javaHome, 'bin/keytool');
+}
+
+/**
+ * Run keytool with passwords passed through the environment (never on the command line)
+ */
+async function runKeytool(args, secrets = {}) {
+  return execFileAsync(getKeytoolPath(), args, {
+    env: { ...process.env, ...secrets },
+    maxBuffer: 1024 * 1024
+  });
+}
+
+/**
+ * Create a scratch directory for keystore files
+ */
+async function createScratchDir() {
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  return fs.mkdtemp(path.join(TEMP_DIR, 'keystore-'));
+}
+
+/**
+ * Read the signing certificate of a keystore entry
+ * @returns {Promise<{sha1Fingerprint: string, sha256Fingerprint: string, subject: string, validFrom: Date, validTo: Date}>}
+ */
+async function readCertificate(keystorePath, { storePassword, keyAlias }) {
+  const { stdout } = await runKeytool([
+    '-exportcert',
+    '-rfc',
+    '-keystore', keystorePath,
+    '-storepass:env', 'WEB2APK_STORE_PASS',
+    '-alias', keyAlias
+  ], { WEB2APK_STORE_PASS: storePassword });
+
+  const certificate = new crypto.X509Certificate(stdout);
+
+  return {
+    sha1Fingerprint: certificate.fingerprint,
+    sha256Fingerprint: certificate.fingerprint256,
+    subject: certificate.subject.replace(/\n/g, ', '),
+    validFrom: new Date(certificate.validFrom),
+    validTo: new Date(certificate.validTo)
+  };
+}
+
+/**
+ * Make sure a package name is not registered to another account
+ */
+async function assertPackageOwnership(packageName, userId) {
+  const existing = await Keystore.findOne({ packageName });
+
+  if (existing && existing.user.toString() !== userId.toString()) {
+    throw new AppError('This package name is registered to another account', 403);
+  }
+
+  return existing;
+}
+
+/**
+ * Generate a new signing keystore for a package
+ */
+async function generateKeystore(packageName, userId) {
+  const scratchDir = await createScratchDir();
+  const keystorePath = path.join(scratchDir, 'release.p12');
+  const keyAlias = 'release';
+  // PKCS12 keystores use the store password for the key as well
+  const password = crypto.randomBytes(24).toString('hex');
+
+  try {
+    await runKeytool([
+      '-genkeypair',
+      '-keystore', keystorePath,
+      '-storetype', 'PKCS12',
+      '-alias', keyAlias,
+      '-keyalg', 'RSA',
+      '-keysize', '2048',
+      '-validity', String(KEY_VALIDITY_DAYS),
+      '-storepass:env', 'WEB2APK_STORE_PASS',
+      '-keypass:env', 'WEB2APK_STORE_PASS',
+      '-dname', `CN=${packageName}, OU=Android, O=Web2APK`
+    ], { WEB2APK_STORE_PASS: password });
+
+    const keystoreData = await fs.readFile(keystorePath);
+    const certificate = await readCertificate(keystorePath, { storePassword: password, keyAlias });
+
+    const keystore = await Keystore.create({
+      user: userId,
+      packageName,
+      source: 'generated',
+      storeType: 'PKCS12',
+      keyAlias,
+      certificate,
+      encryptedKeystore: encrypt(keystoreData),
+      encryptedStorePassword: encrypt(password),
+      encryptedKeyPassword: encrypt(password)
+    });
+
+    logger.info(`Generated signing keystore for ${packageName}`);
+    return keystore;
+  } finally {
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Verify that a keystore opens with the given credentials and contains a private key
+ */
+async function verifyKeystore(keystorePath, { storePassword, keyAlias, keyPassword }) {
+  const secrets = {
+    WEB2APK_STORE_PASS: storePassword,
+    WEB2APK_KEY_PASS: keyPassword
+  };
+
+  let listing;
+  try {
+    const { stdout } = await runKeytool([
+      '-list',
+      '-keystore', keystorePath,
+      '-storepass:env', 'WEB2APK_STORE_PASS',
+      '-alias', keyAlias
+    ], secrets);
+    listing = stdout;
+  } catch (error) {
+    throw new AppError('Keystore could not be opened. Check the store password and key alias.', 400);
+  }
+
+  if (!/PrivateKeyEntry/i.test(listing)) {
+    throw new AppError(`Alias "${keyAlias}" does not contain a private key`, 400);
+  }
+
+  // A certificate request only succeeds with the correct key password
+  try {
+    await runKeytool([
+      '-certreq',
+      '-keystore', keystorePath,
+      '-storepass:env', 'WEB2APK_STORE_PASS',
+      '-alias', keyAlias,
+      '-keypass:env', 'WEB2APK_KEY_PASS'
+    ], secrets);
+  } catch (error) {
+    throw new AppError('Key password is incorrect', 400);
+  }
+}
+
+/**
+ * Import an existing keystore uploaded by the user
+ */
+async function importKeystore({ packageName, userId, keystoreData, storePassword, keyAlias, keyPassword }) {
+  const existing = await assertPackageOwnership(packageName, userId);
+
+  if (existing) {
+    throw new AppError('A signing keystore already exists for this package name', 409);
+  }
+
+  const scratchDir = await createScratchDir();
+  const keystorePath = path.join(scratchDir, 'upload.keystore');
+
+  try {
+    await fs.writeFile(keystorePath, keystoreData, { mode: 0o600 });
+    await verifyKeystore(keystorePath, { storePassword, keyAlias, keyPassword });
+
+    // keytool reports PKCS12 files as such; anything else is treated as JKS
+    const { stdout } = await runKeytool([
+      '-list',
+      '-keystore', keystorePath,
+      '-storepass:env', 'WEB2APK_STORE_PASS'
+    ], { WEB2APK_STORE_PASS: storePassword });
+    const storeType = /Keystore type:\s*PKCS12/i.test(stdout) ? 'PKCS12' : 'JKS';
+    const certificate = await readCertificate(keystorePath, { storePassword, keyAlias });
+
+    const keystore = await Keystore.create({
+      user: userId,
+      packageName,
+      source: 'uploaded',
+      storeType,
+      keyAlias,
+      certificate,
+      encryptedKeystore: encrypt(keystoreData),
+      encryptedStorePassword: encrypt(storePassword),
+      encryptedKeyPassword: encrypt(keyPassword)
+    });
+
+    logger.info(`Imported signing keystore for ${packageName}`);
+    return keystore;
+  } finally {
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Get the keystore for a package, generating one on first build
+ */
+async function getOrCreateKeystore(packageName, userId) {
+  await assertPackageOwnership(packageName, userId);
+
+  const selectSecrets = '+encryptedKeystore +encryptedStorePassword +encryptedKeyPassword';
+  let keystore = await Keystore.findOne({ packageName }).select(selectSecrets);
+
+  if (!keystore) {
+    try {
+      await generateKeystore(packageName, userId);
+    } catch (error) {
+      // Another build for the same package generated the keystore first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    keystore = await Keystore.findOne({ packageName }).select(selectSecrets);
+  }
+
+  return keystore;
+}
+
+/**
+ * Identify the key a package's builds are signed with, without creating it.
+ * A package's keystore never changes once it exists: it is either uploaded
+ * before the first build or generated by the first build. So a generated key
+ * is identified by its package alone, before and after it exists.
+ * @returns {Promise<string>}
+ */
+async function getSigningIdentity(packageName) {
+  const keystore = await Keystore.findOne({ packageName });
+
+  if (keystore && keystore.source === 'uploaded') {
+    return `uploaded:${keystore._id}`;
+  }
+
+  return `generated:${packageName}`;
+}
+
+/**
+ * Write a decrypted keystore to a private scratch directory for signing
+ * @returns {Promise<{path: string, storePassword: string, keyAlias: string, keyPassword: string, cleanup: Function}>}
+ */
+async function materializeKeystore(keystore) {
+  const credentials = keystore.getCredentials();
+  const scratchDir = await createScratchDir();
+  const keystorePath = path.join(scratchDir, 'signing.keystore');
+
+  await fs.writeFile(keystorePath, credentials.keystore, { mode: 0o600 });
+
+  return {
+    path: keystorePath,
+    storePassword: credentials.storePassword,
+    keyAlias: credentials.keyAlias,
+    keyPassword: credentials.keyPassword,
+    cleanup: () => fs.rm(scratchDir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Get the certificate fingerprints of a keystore, reading them from the
+ * keystore itself for records created before fingerprints were stored
+ */
+async function ensureFingerprints(keystore) {
+  if (keystore.certificate && keystore.certificate.sha256Fingerprint) {
+    return keystore.certificate;
+  }
+
+  const withSecrets = await Keystore.findById(keystore._id)
+    .select('+encryptedKeystore +encryptedStorePassword +encryptedKeyPassword');
+  const signingKey = await materializeKeystore(withSecrets);
+
+  try {
+    withSecrets.certificate = await readCertificate(signingKey.path, signingKey);
+    await withSecrets.save();
+    keystore.certificate = withSecrets.certificate;
+    return withSecrets.certificate;
+  } finally {
+    await signingKey.cleanup();
+  }
+}
+
+/**
+ * Create a zip archive containing the keystore re-encrypted as PKCS12 with
+ * a password chosen by the user, plus a README describing the key
+ * @returns {Promise<Buffer>} Zip archive
+ */
+async function exportKeystore(keystore, exportPassword) {
+  const signingKey = await materializeKeystore(keystore);
+  const exportPath = path.join(path.dirname(signingKey.path), 'export.p12');
+
+  try {
+    // PKCS12 requires the key password to match the store password
+    await runKeytool([
+      '-importkeystore',
+      '-noprompt',
+      '-srckeystore', signingKey.path,
+      '-srcstoretype', keystore.storeType,
+      '-srcstorepass:env', 'WEB2APK_STORE_PASS',
+      '-srcalias', signingKey.keyAlias,
+      '-srckeypass:env', 'WEB2APK_KEY_PASS',
+      '-destkeystore', exportPath,
+      '-deststoretype', 'PKCS12',
+      '-deststorepass:env', 'WEB2APK_EXPORT_PASS',
+      '-destkeypass:env', 'WEB2APK_EXPORT_PASS',
+      '-destalias', signingKey.keyAlias
+    ], {
+      WEB2APK_STORE_PASS: signingKey.storePassword,
+      WEB2APK_KEY_PASS: signingKey.keyPassword,
+      WEB2APK_EXPORT_PASS: exportPassword
+    });
+
+    const certificate = await readCertificate(exportPath, {
+      storePassword: exportPassword,
+      keyAlias: signingKey.keyAlias
+    });
+
+    const readme = [
+      `Signing keystore for ${keystore.packageName}`,
+      '',
+      `Keystore file:  ${keystore.packageName}.p12 (PKCS12)`,
+      `Key alias:      ${signingKey.keyAlias}`,
+      'Passwords:      the store and key password are the export password you chose',
+      '',
+      `SHA-1:          ${certificate.sha1Fingerprint}`,
+      `SHA-256:        ${certificate.sha256Fingerprint}`,
+      `Subject:        ${certificate.subject}`,
+      `Valid until:    ${certificate.validTo.toISOString()}`,
+      ''
+    ].join('\n');
+
+    const keystoreData = await fs.readFile(exportPath);
+
+    return await new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('error', reject);
+
+      archive.append(keystoreData, { name: `${keystore.packageName}.p12` });
+      archive.append(readme, { name: 'README.txt' });
+      archive.finalize();
+    });
+  } finally {
+    await signingKey.cleanup();
+  }
+}
+
+module.exports = {
+  assertPackageOwnership,
+  generateKeystore,
+  importKeystore,
+  getOrCreateKeystore,
+  getSigningIdentity,
+  materializeKeystore,
+  ensureFingerprints,
+  exportKeystore
+};
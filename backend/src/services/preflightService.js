@@ -0,0 +1,167 @@
+const { fetchUrl } = require('../utils/httpFetcher');
+const { parseTags, extractHead } = require('../utils/html');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const SLOW_RESPONSE_MS = 3000;
+
+// The generated app identifies itself like any Android System WebView ("; wv")
+const WEBVIEW_USER_AGENT = 'Mozilla/5.0 (Linux; Android 14; Pixel 8; wv) AppleWebKit/537.36 '
+  + '(KHTML, like Gecko) Version/4.0 Chrome/120.0.0.0 Mobile Safari/537.36';
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 '
+  + '(KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+/**
+ * Hostnames belong to the same site if they match ignoring "www." or one is
+ * a subdomain of the other
+ */
+function isSameSite(hostA, hostB) {
+  const a = hostA.replace(/^www\./, '');
+  const b = hostB.replace(/^www\./, '');
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+/**
+ * Whether response headers forbid the page from being framed
+ */
+function blocksFraming(headers) {
+  const frameOptions = (headers['x-frame-options'] || '').toLowerCase();
+  const frameAncestors = (headers['content-security-policy'] || '').match(/frame-ancestors([^;]*)/i);
+
+  return ['deny', 'sameorigin'].includes(frameOptions.trim())
+    || Boolean(frameAncestors && /'none'|'self'/i.test(frameAncestors[1]));
+}
+
+/**
+ * Subresources an https page loads over plain http
+ */
+function findMixedContent(html) {
+  const references = [
+    ...parseTags(html, 'script').map((tag) => tag.src),
+    ...parseTags(html, 'iframe').map((tag) => tag.src),
+    ...parseTags(html, 'img').map((tag) => tag.src),
+    ...parseTags(html, 'link')
+      .filter((tag) => (tag.rel || '').toLowerCase().split(/\s+/).includes('stylesheet'))
+      .map((tag) => tag.href)
+  ];
+
+  return references.filter((reference) => reference && /^http:\/\//i.test(reference.trim()));
+}
+
+/**
+ * Fetch the site the way the app will, falling back to a browser user agent
+ * to tell a site that is down from one that refuses WebViews
+ * @returns {Promise<{page: object|null, webViewBlocked: boolean, error: object|null}>}
+ */
+async function fetchAsWebView(websiteUrl) {
+  try {
+    const page = await fetchUrl(websiteUrl, {
+      maxBytes: MAX_PAGE_BYTES,
+      accept: 'text/html',
+      userAgent: WEBVIEW_USER_AGENT
+    });
+    return { page, webViewBlocked: false, error: null };
+  } catch (error) {
+    if (!error.status) {
+      return { page: null, webViewBlocked: false, error };
+    }
+
+    try {
+      const page = await fetchUrl(websiteUrl, {
+        maxBytes: MAX_PAGE_BYTES,
+        accept: 'text/html',
+        userAgent: BROWSER_USER_AGENT
+      });
+      return { page, webViewBlocked: true, error };
+    } catch (browserError) {
+      return { page: null, webViewBlocked: false, error };
+    }
+  }
+}
+
+/**
+ * Check that a website will work inside the generated app.
+ * Errors make the app unusable; warnings degrade it.
+ * @param {string} websiteUrl - Site to audit
+ * @returns {Promise<object>} Report with errors, warnings and whether it passed
+ */
+async function auditWebsite(websiteUrl) {
+  const errors = [];
+  const warnings = [];
+  const addError = (code, message) => errors.push({ code, message });
+  const addWarning = (code, message) => warnings.push({ code, message });
+
+  const startedAt = Date.now();
+  const { page, webViewBlocked, error } = await fetchAsWebView(websiteUrl);
+  const responseTimeMs = Date.now() - startedAt;
+
+  if (!page) {
+    if (error.code === 'FETCH_BLOCKED') {
+      addError('BLOCKED_ADDRESS', error.message);
+    } else if (error.status) {
+      addError('HTTP_ERROR', `The site responded with status ${error.status}`);
+    } else {
+      addError('UNREACHABLE', error.message);
+    }
+  } else {
+    const requested = new URL(websiteUrl);
+    const final = new URL(page.url);
+    const contentType = page.contentType.toLowerCase();
+    const isHtml = contentType.includes('text/html') || contentType.includes('application/xhtml+xml');
+    const html = isHtml && typeof page.data === 'string' ? page.data : '';
+
+    if (webViewBlocked) {
+      addError('WEBVIEW_BLOCKED', `The site refuses Android WebViews (status ${error.status}) but loads in a browser`);
+    }
+
+    if (!isSameSite(requested.hostname, final.hostname)) {
+      addError('OFF_DOMAIN_REDIRECT', `The site redirects to a different domain: ${final.hostname}`);
+    }
+
+    if (!isHtml) {
+      addError('NOT_HTML', `The site returned ${contentType || 'an unknown content type'} instead of an HTML page`);
+    }
+
+    if (final.protocol === 'http:') {
+      addWarning('CLEARTEXT_HTTP', 'The site is served over plain http, which the app can only load with cleartext traffic enabled - use https if possible');
+    } else if (requested.protocol === 'http:') {
+      addWarning('HTTP_TO_HTTPS_REDIRECT', `The site redirects to https - use ${final.origin} as the website URL`);
+    }
+
+    const viewport = parseTags(extractHead(html), 'meta')
+      .find((meta) => (meta.name || '').toLowerCase() === 'viewport');
+    if (html && !viewport) {
+      addWarning('NO_VIEWPORT', 'The page has no viewport meta tag and will render as a zoomed-out desktop page');
+    }
+
+    if (blocksFraming(page.headers)) {
+      addWarning('FRAME_BLOCKED', 'The site forbids framing (X-Frame-Options or CSP frame-ancestors) - pages that embed it in iframes will fail');
+    }
+
+    const mixedContent = final.protocol === 'https:' ? findMixedContent(html) : [];
+    if (mixedContent.length > 0) {
+      addWarning('MIXED_CONTENT', `The page loads ${mixedContent.length} resource(s) over plain http, e.g. ${mixedContent[0]}`);
+    }
+
+    if (responseTimeMs > SLOW_RESPONSE_MS) {
+      addWarning('SLOW_RESPONSE', `The site took ${responseTimeMs}ms to respond - users will see a long blank screen`);
+    }
+  }
+
+  logger.info(`Preflight for ${websiteUrl}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+  return {
+    websiteUrl,
+    finalUrl: page ? page.url : null,
+    redirects: page ? page.redirects : [],
+    responseTimeMs,
+    passed: errors.length === 0,
+    errors,
+    warnings,
+    checkedAt: new Date()
+  };
+}
+
+module.exports = {
+  auditWebsite
+};
@@ -0,0 +1,169 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const MAX_BUNDLE_BYTES = parseInt(process.env.SITE_BUNDLE_MAX_SIZE) || 10 * 1024 * 1024;
+const MAX_EXTRACTED_BYTES = parseInt(process.env.SITE_BUNDLE_MAX_EXTRACTED_SIZE) || 50 * 1024 * 1024;
+const MAX_ENTRIES = 5000;
+
+// WebViewAssetLoader serves app/src/main/assets/site from this https origin,
+// so the bundled site gets a normal secure origin instead of file://
+const LOCAL_SITE_ORIGIN = 'https://appassets.androidplatform.net';
+const ASSETS_DIR = 'site';
+
+// Archive clutter that is never part of the site
+const IGNORED_ENTRIES = [/^__MACOSX\//, /(^|\/)\.DS_Store$/, /(^|\/)Thumbs\.db$/];
+
+/**
+ * Check an entry's path and type, returning its normalised path or null for
+ * entries to skip
+ */
+function checkEntry(entry) {
+  const name = entry.fileName;
+
+  if (name.endsWith('/') || IGNORED_ENTRIES.some((pattern) => pattern.test(name))) {
+    return null;
+  }
+
+  if (path.posix.isAbsolute(name) || /^[a-z]:/i.test(name) || name.split('/').includes('..')) {
+    throw new AppError(`Site bundle contains an unsafe path: ${name}`, 400);
+  }
+
+  // Unix mode lives in the upper 16 bits of the external attributes
+  const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+  if (mode === 0o120000) {
+    throw new AppError(`Site bundle contains a symbolic link: ${name}`, 400);
+  }
+
+  if (entry.isEncrypted()) {
+    throw new AppError(`Site bundle contains an encrypted file: ${name}`, 400);
+  }
+
+  return path.posix.normalize(name);
+}
+
+/**
+ * Open a zip and list its files, enforcing the entry count and extracted size limits
+ * @returns {Promise<{zipfile: object, entries: Array<{entry: object, name: string}>, totalSize: number}>}
+ */
+async function readBundle(source) {
+  let zipfile;
+  try {
+    zipfile = Buffer.isBuffer(source)
+      ? await yauzl.fromBufferPromise(source, { autoClose: false })
+      : await yauzl.openPromise(source, { autoClose: false });
+  } catch (error) {
+    throw new AppError(`Site bundle is not a valid zip file: ${error.message}`, 400);
+  }
+
+  try {
+    if (zipfile.entryCount > MAX_ENTRIES) {
+      throw new AppError(`Site bundle has more than ${MAX_ENTRIES} files`, 400);
+    }
+
+    const entries = [];
+    let totalSize = 0;
+
+    for await (const entry of zipfile.eachEntry()) {
+      const name = checkEntry(entry);
+      if (!name) {
+        continue;
+      }
+
+      totalSize += entry.uncompressedSize;
+      if (totalSize > MAX_EXTRACTED_BYTES) {
+        throw new AppError(`Site bundle is larger than ${MAX_EXTRACTED_BYTES / (1024 * 1024)} MB when extracted`, 400);
+      }
+
+      entries.push({ entry, name });
+    }
+
+    return { zipfile, entries, totalSize };
+  } catch (error) {
+    zipfile.close();
+    // yauzl rejects malformed entries (e.g. invalid relative paths) itself
+    throw error instanceof AppError ? error : new AppError(`Site bundle could not be read: ${error.message}`, 400);
+  }
+}
+
+/**
+ * Validate an uploaded site bundle: size limits, an index.html at the root,
+ * the chosen entry page and no paths escaping the bundle
+ * @param {string} zipPath - Uploaded zip
+ * @param {string} entryPage - Page the app opens, relative to the bundle root
+ * @returns {Promise<{files: number, totalSize: number, entryPage: string}>}
+ */
+async function inspectBundle(zipPath, entryPage = 'index.html') {
+  const { size } = await fs.stat(zipPath);
+  if (size > MAX_BUNDLE_BYTES) {
+    throw new AppError(`Site bundle must be smaller than ${MAX_BUNDLE_BYTES / (1024 * 1024)} MB`, 400);
+  }
+
+  const { zipfile, entries, totalSize } = await readBundle(zipPath);
+  zipfile.close();
+
+  const names = new Set(entries.map(({ name }) => name));
+
+  if (!names.has('index.html')) {
+    const nested = [...names].find((name) => name.endsWith('/index.html'));
+    throw new AppError(
+      `Site bundle must have an index.html at its root${nested ? ` (found ${nested} - zip the folder's contents instead)` : ''}`,
+      400
+    );
+  }
+
+  if (!names.has(entryPage)) {
+    throw new AppError(`Entry page ${entryPage} is not in the site bundle`, 400);
+  }
+
+  return { files: entries.length, totalSize, entryPage };
+}
+
+/**
+ * Extract a site bundle into the generated project's assets
+ * @param {Buffer} bundle - Zip contents
+ * @param {string} projectDir - Generated Android project
+ * @returns {Promise<number>} Number of files extracted
+ */
+async function extractBundle(bundle, projectDir) {
+  const destination = path.join(projectDir, 'app/src/main/assets', ASSETS_DIR);
+  const { zipfile, entries } = await readBundle(bundle);
+
+  try {
+    for (const { entry, name } of entries) {
+      const target = path.join(destination, name);
+
+      // checkEntry already refuses "..", this guards against anything it missed
+      if (!target.startsWith(destination + path.sep)) {
+        throw new AppError(`Site bundle contains an unsafe path: ${name}`, 400);
+      }
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // The read stream fails if the data doesn't match the declared size
+      await pipeline(await zipfile.openReadStreamPromise(entry), createWriteStream(target));
+    }
+  } finally {
+    zipfile.close();
+  }
+
+  logger.info(`Extracted ${entries.length} site bundle files into ${destination}`);
+  return entries.length;
+}
+
+/**
+ * URL the app loads for a page of the bundled site
+ */
+function getLocalUrl(entryPage = 'index.html') {
+  return `${LOCAL_SITE_ORIGIN}/assets/${ASSETS_DIR}/${entryPage.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+module.exports = {
+  MAX_BUNDLE_BYTES,
+  inspectBundle,
+  extractBundle,
+  getLocalUrl
+};
@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+const path = require('path');
+const TemplateVersion = require('../models/TemplateVersion');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Templates live in <ANDROID_TEMPLATES_DIR>/<name>/<version>/ next to a template.json descriptor
+const TEMPLATES_DIR = process.env.ANDROID_TEMPLATES_DIR || path.join(__dirname, '../../android-templates');
+const DEFAULT_TEMPLATE = process.env.DEFAULT_ANDROID_TEMPLATE || 'webview';
+const DESCRIPTOR_FILE = 'template.json';
+
+let descriptorCache = null;
+
+/**
+ * Compare two semantic versions numerically (1.10.0 > 1.9.0)
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Read every template descriptor from disk (cached for the process lifetime)
+ * @returns {Promise<Map<string, object[]>>} Descriptors by template name, newest version first
+ */
+async function loadDescriptors() {
+  if (descriptorCache) {
+    return descriptorCache;
+  }
+
+  const templates = new Map();
+  const names = await fs.readdir(TEMPLATES_DIR, { withFileTypes: true });
+
+  for (const nameEntry of names.filter((entry) => entry.isDirectory())) {
+    const versions = await fs.readdir(path.join(TEMPLATES_DIR, nameEntry.name), { withFileTypes: true });
+
+    for (const versionEntry of versions.filter((entry) => entry.isDirectory())) {
+      const dir = path.join(TEMPLATES_DIR, nameEntry.name, versionEntry.name);
+
+      let descriptor;
+      try {
+        descriptor = JSON.parse(await fs.readFile(path.join(dir, DESCRIPTOR_FILE), 'utf8'));
+      } catch (error) {
+        logger.warn(`Skipping template ${nameEntry.name}/${versionEntry.name}: ${error.message}`);
+        continue;
+      }
+
+      if (descriptor.name !== nameEntry.name || descriptor.version !== versionEntry.name) {
+        logger.warn(`Skipping template ${nameEntry.name}/${versionEntry.name}: descriptor does not match its folder`);
+        continue;
+      }
+
+      const list = templates.get(descriptor.name) || [];
+      list.push({
+        ...descriptor,
+        mode: descriptor.mode || 'webview',
+        features: descriptor.features || [],
+        outputFormats: descriptor.outputFormats || [],
+        dir
+      });
+      templates.set(descriptor.name, list);
+    }
+  }
+
+  for (const list of templates.values()) {
+    list.sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  descriptorCache = templates;
+  return templates;
+}
+
+/**
+ * Load admin status (default/deprecated) for every version of a template
+ * @returns {Promise<Map<string, object>>} Status by version
+ */
+async function loadStatus(name) {
+  const records = await TemplateVersion.find({ name });
+  return new Map(records.map((record) => [record.version, record]));
+}
+
+/**
+ * Pick the version new builds get when none is requested: the version an
+ * admin marked as default, otherwise the newest version that isn't deprecated
+ */
+function pickDefaultVersion(descriptors, status) {
+  const available = descriptors.filter((descriptor) => !status.get(descriptor.version)?.deprecated);
+  const marked = available.find((descriptor) => status.get(descriptor.version)?.isDefault);
+  return marked || available[0] || null;
+}
+
+/**
+ * Format a template and its versions for API responses
+ */
+function formatTemplate(name, descriptors, status) {
+  const defaultVersion = pickDefaultVersion(descriptors, status);
+
+  return {
+    name,
+    displayName: descriptors[0].displayName || name,
+    description: descriptors[0].description || null,
+    defaultVersion: defaultVersion ? defaultVersion.version : null,
+    versions: descriptors.map((descriptor) => {
+      const record = status.get(descriptor.version);
+      return {
+        version: descriptor.version,
+        displayName: descriptor.displayName || name,
+        description: descriptor.description || null,
+        mode: descriptor.mode,
+        minSdk: descriptor.minSdk,
+        targetSdk: descriptor.targetSdk,
+        bridgeVersion: descriptor.bridgeVersion || null,
+        features: descriptor.features,
+        outputFormats: descriptor.outputFormats,
+        isDefault: defaultVersion ? defaultVersion.version === descriptor.version : false,
+        deprecated: record?.deprecated || false,
+        deprecationReason: record?.deprecationReason || null
+      };
+    })
+  };
+}
+
+/**
+ * List all templates with their versions
+ */
+async function listTemplates() {
+  const templates = await loadDescriptors();
+  const result = [];
+
+  for (const [name, descriptors] of templates) {
+    result.push(formatTemplate(name, descriptors, await loadStatus(name)));
+  }
+
+  return result;
+}
+
+/**
+ * Get a single template with its versions
+ */
+async function getTemplate(name) {
+  const templates = await loadDescriptors();
+  const descriptors = templates.get(name);
+
+  if (!descriptors) {
+    throw new AppError(`Template "${name}" not found`, 404);
+  }
+
+  return formatTemplate(name, descriptors, await loadStatus(name));
+}
+
+/**
+ * Resolve the template a new build should use.
+ * Without a version the default version is chosen; deprecated versions
+ * cannot be selected for new builds.
+ * @returns {Promise<object>} Template descriptor
+ */
+async function resolveTemplate({ name, version } = {}) {
+  const templateName = name || DEFAULT_TEMPLATE;
+  const templates = await loadDescriptors();
+  const descriptors = templates.get(templateName);
+
+  if (!descriptors) {
+    throw new AppError(`Template "${templateName}" not found`, 400);
+  }
+
+  const status = await loadStatus(templateName);
+
+  if (!version) {
+    const descriptor = pickDefaultVersion(descriptors, status);
+    if (!descriptor) {
+      throw new AppError(`Template "${templateName}" has no available versions`, 400);
+    }
+    return descriptor;
+  }
+
+  const descriptor = descriptors.find((candidate) => candidate.version === version);
+  if (!descriptor) {
+    throw new AppError(`Template "${templateName}" has no version ${version}`, 400);
+  }
+
+  if (status.get(version)?.deprecated) {
+    throw new AppError(`Template "${templateName}" version ${version} is deprecated`, 400);
+  }
+
+  return descriptor;
+}
+
+/**
+ * Check that a template supports the requested features and output format
+ * @param {object} descriptor - Template descriptor
+ * @param {string[]} featureNames - Features the user explicitly enabled
+ * @param {string} outputFormat - Requested output format
+ */
+function assertSupports(descriptor, featureNames, outputFormat) {
+  const unsupported = featureNames.filter((feature) => !descriptor.features.includes(feature));
+
+  if (unsupported.length > 0) {
+    throw new AppError(
+      `Template "${descriptor.name}" ${descriptor.version} does not support: ${unsupported.join(', ')}`,
+      400
+    );
+  }
+
+  if (outputFormat && !descriptor.outputFormats.includes(outputFormat)) {
+    throw new AppError(
+      `Template "${descriptor.name}" ${descriptor.version} cannot produce output format "${outputFormat}"`,
+      400
+    );
+  }
+}
+
+/**
+ * Get the descriptor of a pinned template version.
+ * Builds keep working with the version they were created with even if it
+ * has been deprecated since.
+ */
+async function getTemplateDescriptor(template) {
+  if (!template || !template.name || !template.version) {
+    return resolveTemplate();
+  }
+
+  const templates = await loadDescriptors();
+  const descriptor = (templates.get(template.name) || []).find((candidate) => candidate.version === template.version);
+
+  if (!descriptor) {
+    throw new Error(`Template ${template.name}@${template.version} is not installed on this server`);
+  }
+
+  return descriptor;
+}
+
+/**
+ * Update the admin status of a template version
+ * @param {string} name - Template name
+ * @param {string} version - Template version
+ * @param {object} changes - { isDefault, deprecated, deprecationReason }
+ * @param {object} user - Admin making the change
+ */
+async function updateVersionStatus(name, version, changes, user) {
+  const templates = await loadDescriptors();
+  const descriptors = templates.get(name);
+
+  if (!descriptors || !descriptors.some((descriptor) => descriptor.version === version)) {
+    throw new AppError(`Template "${name}" has no version ${version}`, 404);
+  }
+
+  const record = await TemplateVersion.findOne({ name, version })
+    || new TemplateVersion({ name, version });
+
+  if (changes.deprecated !== undefined) {
+    record.deprecated = changes.deprecated;
+    record.deprecatedAt = changes.deprecated ? new Date() : null;
+    record.deprecationReason = changes.deprecated ? changes.deprecationReason || null : null;
+
+    // A deprecated version can no longer be the default
+    if (changes.deprecated) {
+      record.isDefault = false;
+    }
+  }
+
+  if (changes.isDefault) {
+    if (record.deprecated) {
+      throw new AppError('A deprecated version cannot be the default', 400);
+    }
+
+    await TemplateVersion.updateMany({ name, version: { $ne: version } }, { isDefault: false });
+    record.isDefault = true;
+  } else if (changes.isDefault === false) {
+    record.isDefault = false;
+  }
+
+  record.updatedBy = user._id;
+  await record.save();
+
+  logger.info(`Template ${name}@${version} updated by ${user.email}: ${JSON.stringify(changes)}`);
+
+  return formatTemplate(name, descriptors, await loadStatus(name));
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  resolveTemplate,
+  assertSupports,
+  getTemplateDescriptor,
+  updateVersionStatus
+};
@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Placeholders look like {{context:NAME}}. The context names the place in the
+ * file the value ends up in and decides how it is escaped, e.g.
+ *   private val WEBSITE_URL = "{{kotlinString:WEBSITE_URL}}"
+ *   versionCode {{int:VERSION_CODE}}
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+):([A-Z][A-Z0-9_]*)\s*\}\}/g;
+
+// Files that may contain placeholders - everything else (images, jars) is copied untouched
+const TEXT_EXTENSIONS = ['.xml', '.kt', '.java', '.gradle', '.properties', '.pro', '.json', '.html', '.js', '.css', '.txt'];
+
+/**
+ * Create a template error that fails the build with a clear message
+ */
+function templateError(message) {
+  const error = new Error(message);
+  error.code = 'TEMPLATE_RENDER_FAILED';
+  return error;
+}
+
+/**
+ * Escape backslashes, quotes, `$` and line breaks for a double-quoted
+ * Kotlin or Groovy string literal (both interpolate `$`)
+ */
+function escapeInterpolatedString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\$/g, '\\$')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+function escapeXmlText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapers for each placeholder context. Typed contexts reject values that
+ * cannot be represented instead of producing broken source.
+ */
+const CONTEXTS = {
+  kotlinString: escapeInterpolatedString,
+
+  gradleString: escapeInterpolatedString,
+
+  xmlText: escapeXmlText,
+
+  xmlAttr: (value) => escapeXmlText(value)
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;'),
+
+  // Android string resources additionally treat quotes, backslashes and a leading @ or ? specially
+  androidString: (value) => escapeXmlText(
+    String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/^([@?])/, '\\$1')
+  ),
+
+  int: (value, name) => {
+    const number = Number(value);
+    if (value === '' || typeof value === 'boolean' || !Number.isInteger(number)) {
+      throw templateError(`Template value ${name} must be an integer, got "${value}"`);
+    }
+    return String(number);
+  },
+
+  bool: (value, name) => {
+    if (typeof value !== 'boolean') {
+      throw templateError(`Template value ${name} must be a boolean, got "${value}"`);
+    }
+    return String(value);
+  },
+
+  color: (value, name) => {
+    if (!/^#([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(String(value))) {
+      throw templateError(`Template value ${name} must be a hex color, got "${value}"`);
+    }
+    return String(value);
+  },
+
+  // Snippets generated by the build service itself - never user input
+  raw: (value) => String(value)
+};
+
+/**
+ * Render a template string.
+ * Every placeholder must have a value and every value must be used, so a
+ * template and the code filling it in can never silently drift apart.
+ * @param {string} template - Template text
+ * @param {Object<string, *>} values - Values keyed by placeholder name
+ * @param {string} source - File name used in error messages
+ * @returns {string} Rendered text
+ */
+function render(template, values, source = 'template') {
+  const missing = new Set();
+  const used = new Set();
+
+  const output = template.replace(PLACEHOLDER_PATTERN, (placeholder, context, name) => {
+    const escape = CONTEXTS[context];
+    if (!escape) {
+      throw templateError(`Unknown placeholder context "${context}" in ${source}: ${placeholder}`);
+    }
+
+    if (values[name] === undefined || values[name] === null) {
+      missing.add(name);
+      return placeholder;
+    }
+
+    used.add(name);
+    return escape(values[name], name);
+  });
+
+  const problems = [];
+  if (missing.size > 0) {
+    problems.push(`no value for ${[...missing].join(', ')}`);
+  }
+
+  const unused = Object.keys(values).filter((name) => !used.has(name));
+  if (unused.length > 0) {
+    problems.push(`no placeholder for ${unused.join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    throw templateError(`Template ${source} does not match its values: ${problems.join('; ')}`);
+  }
+
+  return output;
+}
+
+/**
+ * Render a template file in place
+ * @param {string} projectDir - Project root (used for error messages)
+ * @param {string} relativePath - File path relative to the project root
+ * @param {Object<string, *>} values - Values keyed by placeholder name
+ */
+async function renderFile(projectDir, relativePath, values) {
+  const filePath = path.join(projectDir, relativePath);
+  const template = await fs.readFile(filePath, 'utf8');
+  await fs.writeFile(filePath, render(template, values, relativePath), 'utf8');
+}
+
+/**
+ * Find placeholders left anywhere in a rendered project
+ * @returns {Promise<Array<{file: string, placeholder: string}>>}
+ */
+async function findUnrenderedPlaceholders(projectDir, dir = projectDir) {
+  const found = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      found.push(...await findUnrenderedPlaceholders(projectDir, entryPath));
+    } else if (TEXT_EXTENSIONS.includes(path.extname(entry.name))) {
+      const content = await fs.readFile(entryPath, 'utf8');
+      for (const match of content.matchAll(PLACEHOLDER_PATTERN)) {
+        found.push({ file: path.relative(projectDir, entryPath), placeholder: match[0] });
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Fail if any template file still contains placeholders after all steps ran
+ */
+async function assertFullyRendered(projectDir) {
+  const leftovers = await findUnrenderedPlaceholders(projectDir);
+
+  if (leftovers.length > 0) {
+    const list = leftovers.map(({ file, placeholder }) => `${file}: ${placeholder}`).join(', ');
+    throw templateError(`Unrendered template placeholders: ${list}`);
+  }
+}
+
+module.exports = {
+  render,
+  renderFile,
+  findUnrenderedPlaceholders,
+  assertFullyRendered
+};
@@ -0,0 +1,270 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { fetchUrl } = require('../utils/httpFetcher');
+const { decodeEntities, parseTags, extractHead } = require('../utils/html');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 512 * 1024;
+const MAX_ICON_BYTES = 5 * 1024 * 1024;
+
+// Icons smaller than this look blurry on high-density launchers
+const MIN_RECOMMENDED_ICON_SIZE = 192;
+
+// Declared size assumed for links that don't say (Apple's default touch icon is 180px)
+const DEFAULT_ICON_SIZES = {
+  manifest: 0,
+  'apple-touch-icon': 180,
+  favicon: 0
+};
+
+// Formats sharp cannot read (or that are too small to be useful)
+const UNSUPPORTED_ICON_TYPES = ['image/x-icon', 'image/vnd.microsoft.icon'];
+
+// Web App Manifest orientations mapped onto the app's orientation setting
+const ORIENTATIONS = {
+  any: 'unspecified',
+  natural: 'unspecified',
+  portrait: 'portrait',
+  'portrait-primary': 'portrait',
+  'portrait-secondary': 'portrait',
+  landscape: 'landscape',
+  'landscape-primary': 'landscape',
+  'landscape-secondary': 'landscape'
+};
+
+/**
+ * Resolve a possibly relative URL, returning null for unusable values
+ */
+function resolveUrl(value, base) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const url = new URL(value, base);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a CSS colour to #RRGGBB. Only hex colours are supported.
+ */
+function normalizeColor(value) {
+  const match = typeof value === 'string' && value.trim().match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (!match) {
+    return null;
+  }
+
+  let hex = match[1];
+  if (hex.length <= 4) {
+    hex = hex.split('').map((digit) => digit + digit).join('');
+  }
+  return `#${hex.slice(0, 6).toUpperCase()}`;
+}
+
+/**
+ * Make an app name pass build validation: letters, numbers, spaces, hyphens and underscores
+ */
+function sanitizeAppName(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const name = value.replace(/[^a-zA-Z0-9\s\-_]/g, '').replace(/\s+/g, ' ').trim().slice(0, 50).trim();
+  return name.length >= 2 ? name : null;
+}
+
+/**
+ * Largest square size declared in a sizes attribute ("48x48 192x192", "any")
+ */
+function parseIconSize(sizes, fallback) {
+  if (!sizes) {
+    return fallback;
+  }
+
+  // Scalable icons rank like a recommended-size raster so larger rasters still win
+  if (/\bany\b/i.test(sizes)) {
+    return MIN_RECOMMENDED_ICON_SIZE;
+  }
+
+  const dimensions = [...sizes.matchAll(/(\d+)x(\d+)/gi)].map(([, width, height]) => Math.min(Number(width), Number(height)));
+  return dimensions.length > 0 ? Math.max(...dimensions) : fallback;
+}
+
+/**
+ * Collect icon candidates from the manifest and the page's <link> tags
+ */
+function collectIcons(manifest, manifestUrl, links, pageUrl) {
+  const candidates = [];
+
+  for (const icon of Array.isArray(manifest?.icons) ? manifest.icons : []) {
+    const purposes = typeof icon.purpose === 'string' ? icon.purpose.split(/\s+/) : ['any'];
+    // Maskable icons are full-bleed and would look cropped as a regular icon
+    if (!purposes.includes('any')) {
+      continue;
+    }
+
+    candidates.push({
+      url: resolveUrl(icon.src, manifestUrl),
+      type: icon.type || null,
+      sizes: icon.sizes || null,
+      source: 'manifest'
+    });
+  }
+
+  for (const link of links) {
+    const rel = (link.rel || '').toLowerCase().split(/\s+/);
+    const source = rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed')
+      ? 'apple-touch-icon'
+      : rel.includes('icon') ? 'favicon' : null;
+
+    if (source) {
+      candidates.push({
+        url: resolveUrl(link.href, pageUrl),
+        type: link.type || null,
+        sizes: link.sizes || null,
+        source
+      });
+    }
+  }
+
+  return candidates
+    .filter((candidate) => candidate.url)
+    .filter((candidate) => !UNSUPPORTED_ICON_TYPES.includes(candidate.type) && !/\.ico(\?|$)/i.test(candidate.url))
+    .map((candidate) => ({ ...candidate, size: parseIconSize(candidate.sizes, DEFAULT_ICON_SIZES[candidate.source]) }))
+    .sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Fetch and parse the site's Web App Manifest
+ * @returns {Promise<object|null>} Parsed manifest
+ */
+async function fetchManifest(manifestUrl, warnings) {
+  try {
+    const response = await fetchUrl(manifestUrl, {
+      maxBytes: MAX_MANIFEST_BYTES,
+      accept: 'application/manifest+json, application/json'
+    });
+    const manifest = JSON.parse(response.data);
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      warnings.push('Web App Manifest is not a JSON object');
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    warnings.push(`Web App Manifest could not be loaded: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Discover app metadata from a website's Web App Manifest, apple-touch-icon
+ * and favicon. Values are proposals: every field may be null.
+ * @param {string} websiteUrl - Site to inspect
+ * @returns {Promise<object>} Proposed app metadata
+ */
+async function discoverAppMetadata(websiteUrl) {
+  let page;
+  try {
+    page = await fetchUrl(websiteUrl, { maxBytes: MAX_PAGE_BYTES, accept: 'text/html' });
+  } catch (error) {
+    const status = error.code === 'FETCH_BLOCKED' ? 400 : 422;
+    throw new AppError(`Could not load ${websiteUrl}: ${error.message}`, status);
+  }
+
+  const warnings = [];
+  const head = extractHead(typeof page.data === 'string' ? page.data : '');
+  const links = parseTags(head, 'link');
+  const metas = parseTags(head, 'meta');
+  const metaContent = (name) => metas.find((meta) => (meta.name || '').toLowerCase() === name)?.content || null;
+  const titleMatch = head.match(/<title[^>]*>([^<]*)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).trim() : null;
+
+  const manifestLink = links.find((link) => (link.rel || '').toLowerCase().split(/\s+/).includes('manifest'));
+  const manifestUrl = resolveUrl(manifestLink?.href, page.url);
+  const manifest = manifestUrl ? await fetchManifest(manifestUrl, warnings) : null;
+
+  if (!manifestUrl) {
+    warnings.push('No Web App Manifest found - using page metadata only');
+  }
+
+  // start_url must share the site's origin, otherwise browsers ignore it too
+  let startUrl = resolveUrl(manifest?.start_url, manifestUrl);
+  if (startUrl && new URL(startUrl).origin !== new URL(page.url).origin) {
+    warnings.push('Manifest start_url is on a different origin and was ignored');
+    startUrl = null;
+  }
+
+  const themeColor = normalizeColor(manifest?.theme_color) || normalizeColor(metaContent('theme-color'));
+  const backgroundColor = normalizeColor(manifest?.background_color);
+  if ((manifest?.theme_color && !normalizeColor(manifest.theme_color))
+    || (manifest?.background_color && !backgroundColor)) {
+    warnings.push('Only hex colours can be imported - other colour formats were ignored');
+  }
+
+  const iconCandidates = collectIcons(manifest, manifestUrl, links, page.url);
+  const icon = iconCandidates[0] || null;
+  if (!icon) {
+    warnings.push('No usable icon found - upload one manually');
+  } else if (icon.size < MIN_RECOMMENDED_ICON_SIZE) {
+    warnings.push(`Best icon found is smaller than ${MIN_RECOMMENDED_ICON_SIZE}px - upload a larger one for sharp results`);
+  }
+
+  const rawName = manifest?.name || manifest?.short_name || metaContent('application-name')
+    || metaContent('apple-mobile-web-app-title') || title;
+
+  return {
+    websiteUrl: page.url,
+    manifestUrl: manifest ? manifestUrl : null,
+    appName: sanitizeAppName(rawName),
+    shortName: sanitizeAppName(manifest?.short_name)?.slice(0, 30) || null,
+    themeColor,
+    backgroundColor,
+    startUrl,
+    orientation: ORIENTATIONS[manifest?.orientation] || null,
+    display: typeof manifest?.display === 'string' ? manifest.display : null,
+    icon: icon && {
+      url: icon.url,
+      type: icon.type,
+      sizes: icon.sizes,
+      source: icon.source
+    },
+    iconCandidates: iconCandidates.map(({ url, type, sizes, source }) => ({ url, type, sizes, source })),
+    warnings
+  };
+}
+
+/**
+ * Download a discovered icon into the upload directory as a PNG, so it can
+ * take the same path as an uploaded app icon
+ * @returns {Promise<{path: string, filename: string}>} Multer-like file info
+ */
+async function downloadIcon(iconUrl, uploadDir) {
+  const response = await fetchUrl(iconUrl, { responseType: 'buffer', maxBytes: MAX_ICON_BYTES, accept: 'image/*' });
+
+  const filename = `${uuidv4()}.png`;
+  const filePath = path.join(uploadDir, filename);
+
+  await fs.mkdir(uploadDir, { recursive: true });
+  try {
+    // The density only applies to SVG icons, which would otherwise render at 72 dpi
+    await sharp(response.data, { density: 300 }).png().toFile(filePath);
+  } catch (error) {
+    throw new Error(`${iconUrl} is not a supported image: ${error.message}`);
+  }
+
+  logger.info(`Imported app icon from ${iconUrl}`);
+  return { path: filePath, filename };
+}
+
+module.exports = {
+  discoverAppMetadata,
+  downloadIcon
+};
@@ -0,0 +1,22 @@
+/**
+ * Error thrown when a build is cancelled while running
+ */
+function createCancelledError() {
+  const error = new Error('Build cancelled by user');
+  error.code = 'BUILD_CANCELLED';
+  return error;
+}
+
+/**
+ * Abort the current build step if cancellation was requested
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+}
+
+module.exports = {
+  createCancelledError,
+  throwIfCancelled
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * Derive the 256-bit encryption key from KEYSTORE_ENCRYPTION_KEY
+ * @returns {Buffer} Encryption key
+ */
+const getKey = () => {
+  const secret = process.env.KEYSTORE_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('KEYSTORE_ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {Buffer|string} value - Plain value
+ * @returns {string} Encrypted payload in the form iv:authTag:ciphertext (base64)
+ */
+const encrypt = (value) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a payload produced by encrypt()
+ * @param {string} payload - Encrypted payload
+ * @returns {Buffer} Decrypted value
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+/**
+ * Decrypt a payload produced by encrypt() into a UTF-8 string
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Decrypted string
+ */
+const decryptString = (payload) => decrypt(payload).toString('utf8');
+
+module.exports = {
+  encrypt,
+  decrypt,
+  decryptString
+};
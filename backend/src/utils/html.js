@@ -0,0 +1,56 @@
+// Highest Unicode code point - String.fromCodePoint throws above it
+const MAX_CODE_POINT = 0x10FFFF;
+
+/**
+ * Decode a numeric character reference, leaving out of range ones as they are
+ */
+const decodeCodePoint = (match, codePoint) => (codePoint > MAX_CODE_POINT ? match : String.fromCodePoint(codePoint));
+
+/**
+ * Decode the few HTML entities that commonly appear in titles and attributes
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => decodeCodePoint(match, Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => decodeCodePoint(match, parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse the attributes of every <tagName> element in an HTML document
+ * @returns {object[]} Attribute maps with lower-cased names
+ */
+function parseTags(html, tagName) {
+  const tags = [];
+  const tagPattern = new RegExp(`<${tagName}\\b([^>]*)>`, 'gi');
+  const attributePattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+  for (const [, attributeText] of html.matchAll(tagPattern)) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of attributeText.matchAll(attributePattern)) {
+      attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    }
+    tags.push(attributes);
+  }
+
+  return tags;
+}
+
+/**
+ * Cut a document down to its <head>, where page metadata lives - this also
+ * keeps the regexes off large bodies
+ */
+function extractHead(html) {
+  const end = html.search(/<\/head\s*>|<body\b/i);
+  return end === -1 ? html : html.slice(0, end);
+}
+
+module.exports = {
+  decodeEntities,
+  parseTags,
+  extractHead
+};
@@ -0,0 +1,179 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const USER_AGENT = 'Web2APK/1.0';
+
+// Addresses user-supplied URLs must never reach: loopback, private networks,
+// link-local (cloud metadata endpoints), CGNAT, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create a fetch error with a code callers can branch on
+ * FETCH_BLOCKED - the URL points at a disallowed scheme or address
+ * FETCH_FAILED  - the request failed or returned an error status
+ */
+function createFetchError(message, code = 'FETCH_FAILED', status = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether an IP address is publicly routable
+ */
+function isPublicAddress(address) {
+  if (process.env.FETCH_ALLOW_PRIVATE_HOSTS === 'true') {
+    return true;
+  }
+
+  const family = net.isIP(address);
+  if (family === 6) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return isPublicAddress(mapped[1]);
+    }
+  }
+
+  return family !== 0 && !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup that refuses private addresses. Runs at connect time, so a
+ * hostname that re-resolves to an internal address is still caught.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => !isPublicAddress(entry.address))) {
+      return callback(createFetchError(`${hostname} resolves to a private address`, 'FETCH_BLOCKED'));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Parse a URL and reject anything but public http(s) targets
+ */
+function parseTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createFetchError(`Invalid URL: ${url}`, 'FETCH_BLOCKED');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw createFetchError(`Only http and https URLs can be fetched: ${url}`, 'FETCH_BLOCKED');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw createFetchError('URLs with credentials cannot be fetched', 'FETCH_BLOCKED');
+  }
+
+  // IP literals never go through DNS, so check them here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw createFetchError(`${host} is a private address`, 'FETCH_BLOCKED');
+  }
+
+  return parsed;
+}
+
+/**
+ * Fetch a user-supplied URL safely: public addresses only, limited size,
+ * time and redirects, with every redirect target checked again
+ * @param {string} url - URL to fetch
+ * @param {object} options
+ * @param {string} options.responseType - 'text' or 'buffer'
+ * @param {number} options.maxBytes - Largest accepted response body
+ * @param {string} options.accept - Accept header
+ * @param {number} options.timeout - Timeout per request in ms
+ * @param {string} options.userAgent - User-Agent header
+ * @returns {Promise<object>} { url, status, headers, redirects, contentType, data } -
+ *   redirects lists every URL that redirected, in order
+ */
+async function fetchUrl(url, {
+  responseType = 'text',
+  maxBytes = DEFAULT_MAX_BYTES,
+  accept = '*/*',
+  timeout = DEFAULT_TIMEOUT_MS,
+  userAgent = USER_AGENT
+} = {}) {
+  let current = url;
+  const redirects = [];
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const target = parseTarget(current);
+
+    let response;
+    try {
+      response = await axios.get(target.href, {
+        responseType: responseType === 'buffer' ? 'arraybuffer' : 'text',
+        headers: { 'User-Agent': userAgent, Accept: accept },
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        timeout,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error.code === 'FETCH_BLOCKED' || error.cause?.code === 'FETCH_BLOCKED') {
+        throw createFetchError(error.cause?.message || error.message, 'FETCH_BLOCKED');
+      }
+      if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+        throw createFetchError(`${target.href} is larger than ${maxBytes} bytes`);
+      }
+      throw createFetchError(`Failed to fetch ${target.href}: ${error.message}`);
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      redirects.push(target.href);
+      current = new URL(response.headers.location, target).href;
+      continue;
+    }
+
+    if (response.status >= 400) {
+      throw createFetchError(`${target.href} responded with status ${response.status}`, 'FETCH_FAILED', response.status);
+    }
+
+    return {
+      url: target.href,
+      status: response.status,
+      headers: response.headers,
+      redirects,
+      contentType: response.headers['content-type'] || '',
+      data: responseType === 'buffer' ? Buffer.from(response.data) : response.data
+    };
+  }
+
+  throw createFetchError(`Too many redirects fetching ${url}`);
+}
+
+module.exports = {
+  fetchUrl,
+  isPublicAddress
+};
@@ -2,9 +2,22 @@ const buildQueue = require('../config/queue');
 const Build = require('../models/Build');
 const logger = require('../utils/logger');
 const { buildAPK } = require('../services/buildService');
+const buildLogService = require('../services/buildLogService');
+const { publishBuildEvent, subscribeToBuild } = require('../services/buildEventService');
+const templateRegistry = require('../services/templateRegistry');
+const { createCancelledError } = require('../utils/cancellation');
+const { getExecutor, assertExecutorConfigured } = require('../services/executors');
 const mongoose = require('mongoose');
 const http = require('http');
 
+// A misconfigured BUILD_EXECUTOR would fail every job - stop before taking any
+try {
+  logger.info(`Worker: Build executor: ${assertExecutorConfigured()}`);
+} catch (error) {
+  logger.error(`Worker: ${error.message}`);
+  process.exit(1);
+}
+
 // Connect to MongoDB before processing jobs
 const connectDB = async () => {
   try {
@@ -67,25 +80,27 @@ app.get('/download/:buildId', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Build is not completed yet' });
     }
 
-    if (!build.output.apkPath) {
-      return res.status(404).json({ success: false, message: 'APK file path not found' });
+    const artifact = build.getArtifact(['apk', 'aab', 'source'].includes(req.query.artifact) ? req.query.artifact : null);
+    const { label, path: artifactPath } = artifact;
+
+    if (!artifactPath) {
+      return res.status(404).json({ success: false, message: `${label} file path not found` });
     }
 
     // Check if file exists
-    if (!fs.existsSync(build.output.apkPath)) {
-      logger.error(`APK file not found: ${build.output.apkPath}`);
-      return res.status(404).json({ success: false, message: 'APK file not found on server' });
+    if (!fs.existsSync(artifactPath)) {
+      logger.error(`${label} file not found: ${artifactPath}`);
+      return res.status(404).json({ success: false, message: `${label} file not found on server` });
     }
 
-    logger.info(`Downloading APK: ${buildId} - ${build.appConfig.appName}`);
+    logger.info(`Downloading ${label}: ${buildId} - ${build.appConfig.appName}`);
 
     // Set headers
-    const fileName = `${build.appConfig.appName.replace(/[^a-z0-9]/gi, '_')}.apk`;
-    res.setHeader('Content-Type', 'application/vnd.android.package-archive');
-    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Type', artifact.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.fileName}"`);
 
     // Stream the file
-    const fileStream = fs.createReadStream(build.output.apkPath);
+    const fileStream = fs.createReadStream(artifactPath);
     fileStream.pipe(res);
 
     fileStream.on('error', (error) => {
@@ -170,55 +185,123 @@ app.listen(PORT, '0.0.0.0', () => {
   logger.info(`Worker health check server listening on port ${PORT}`);
 });
 
+/**
+ * Store the captured build log without letting storage errors affect the build result
+ */
+const storeBuildLog = async (buildLog, build) => {
+  try {
+    await buildLog.persist(build);
+  } catch (error) {
+    logger.error(`Failed to store build log: ${error.message}`);
+  }
+};
+
 /**
  * Process build job
  */
 buildQueue.process(async (job) => {
-  const { buildId, userId, appConfig, features, isPremium } = job.data;
+  const { buildId, userId, appConfig, features, template, outputFormat, isPremium } = job.data;
 
   logger.info(`Processing build: ${buildId}`);
 
+  // Captured output of this build, streamed live and stored once it finishes
+  const buildLog = buildLogService.createBuildLog(buildId);
+  buildLog.append(`Build ${buildId} started on attempt ${job.attemptsMade + 1}`);
+
+  // Cancellation requested through the API reaches this worker as a 'cancelled' build event
+  const abortController = new AbortController();
+  let unsubscribe = null;
+
   try {
-    // Get build from database
-    const build = await Build.findOne({ buildId });
+    unsubscribe = await subscribeToBuild(buildId, (event) => {
+      if (event.type === 'cancelled' && !abortController.signal.aborted) {
+        logger.info(`Cancellation received for build: ${buildId}`);
+        abortController.abort();
+      }
+    });
+
+    // Update status to building - unless the build was cancelled while queued
+    const build = await Build.findOneAndUpdate(
+      { buildId, status: { $ne: 'cancelled' } },
+      {
+        status: 'building',
+        progress: 10,
+        currentStep: 'Preparing build environment...'
+      },
+      { new: true }
+    );
     
     if (!build) {
+      if (await Build.exists({ buildId })) {
+        logger.info(`Skipping cancelled build: ${buildId}`);
+        return { success: false, cancelled: true, buildId };
+      }
       throw new Error('Build not found in database');
     }
 
-    // Update status to building
-    build.status = 'building';
-    build.progress = 10;
-    build.currentStep = 'Preparing build environment...';
-    await build.save();
+    // Saved with the first progress update
+    if (build.buildTime.startedAt) {
+      build.buildTime.phases.queueWait = Date.now() - build.buildTime.startedAt;
+    }
+
+    await publishBuildEvent(buildId, 'status', {
+      status: build.status,
+      progress: build.progress,
+      currentStep: build.currentStep
+    });
 
     // Update progress callback
     const updateProgress = async (progress, step) => {
+      buildLog.append(`> ${step}`);
       await build.updateProgress(progress, step);
       job.progress(progress);
+      await publishBuildEvent(buildId, 'progress', { progress, currentStep: step });
     };
 
     // Build the APK
     const result = await buildAPK({
       buildId,
+      userId,
       appConfig,
       features,
       isPremium,
-      updateProgress
+      template,
+      outputFormat: outputFormat || 'apk',
+      updateProgress,
+      onLog: buildLog.append,
+      signal: abortController.signal
     });
 
-    // Mark build as completed
-    await build.markCompleted(
-      result.apkPath,
-      result.apkSize,
-      result.downloadUrl,
-      result.cloudinaryPublicId
-    );
+    // Mark build as completed - unless it was cancelled after its last progress update
+    if (!await build.markCompleted(result)) {
+      throw createCancelledError();
+    }
+    buildLog.append('> Build completed successfully');
+    await storeBuildLog(buildLog, build);
+
+    await publishBuildEvent(buildId, 'completed', {
+      status: build.status,
+      progress: build.progress,
+      downloadUrl: build.output.downloadUrl,
+      aabDownloadUrl: build.output.aabDownloadUrl,
+      sourceDownloadUrl: build.output.sourceDownloadUrl
+    });
 
     logger.info(`Build completed: ${buildId}`);
-    logger.info(`APK Path: ${result.apkPath}`);
-    logger.info(`APK Size: ${(result.apkSize / (1024 * 1024)).toFixed(2)} MB`);
-    logger.info(`Download URL: ${result.downloadUrl}`);
+    if (result.apkPath) {
+      logger.info(`APK Path: ${result.apkPath}`);
+      logger.info(`APK Size: ${(result.apkSize / (1024 * 1024)).toFixed(2)} MB`);
+      logger.info(`Download URL: ${result.downloadUrl}`);
+    }
+    if (result.aabPath) {
+      logger.info(`AAB Path: ${result.aabPath}`);
+      logger.info(`AAB Size: ${(result.aabSize / (1024 * 1024)).toFixed(2)} MB`);
+      logger.info(`AAB Download URL: ${result.aabDownloadUrl}`);
+    }
+    if (result.sourcePath) {
+      logger.info(`Source Path: ${result.sourcePath}`);
+      logger.info(`Source Download URL: ${result.sourceDownloadUrl}`);
+    }
     if (result.cloudinaryPublicId) {
       logger.info(`Cloudinary Public ID: ${result.cloudinaryPublicId}`);
     }
@@ -231,7 +314,11 @@ buildQueue.process(async (job) => {
         buildId,
         apkPath: result.apkPath,
         apkSize: result.apkSize,
-        downloadUrl: result.downloadUrl
+        downloadUrl: result.downloadUrl,
+        aabPath: result.aabPath,
+        aabDownloadUrl: result.aabDownloadUrl,
+        sourcePath: result.sourcePath,
+        sourceDownloadUrl: result.sourceDownloadUrl
       };
     } catch (returnError) {
       // Log but don't fail - data is already in database
@@ -240,17 +327,76 @@ buildQueue.process(async (job) => {
     }
 
   } catch (error) {
+    // Get build from database
+    const build = await Build.findOne({ buildId });
+
+    // Cancelled builds keep their 'cancelled' status and are not retried
+    if (error.code === 'BUILD_CANCELLED' || (build && build.status === 'cancelled')) {
+      logger.info(`Build cancelled: ${buildId}`);
+
+      if (build && build.status !== 'cancelled') {
+        build.status = 'cancelled';
+        build.currentStep = 'Build cancelled by user';
+        await build.save();
+      }
+
+      buildLog.append('> Build cancelled by user');
+      await storeBuildLog(buildLog, build);
+
+      return { success: false, cancelled: true, buildId };
+    }
+
     logger.error(`Build failed: ${buildId} - ${error.message}`);
     logger.error(error.stack);
 
-    // Get build from database
-    const build = await Build.findOne({ buildId });
-    
-    if (build) {
-      await build.markFailed(error);
+    // The queue retries failed jobs - only the last attempt's failure ends the build
+    const attempts = job.opts.attempts || 1;
+    if (job.attemptsMade + 1 < attempts) {
+      const currentStep = `Attempt ${job.attemptsMade + 1} of ${attempts} failed, retrying...`;
+
+      // Conditional so a cancellation since the build was loaded isn't overwritten
+      const retrying = await Build.findOneAndUpdate(
+        { buildId, status: { $ne: 'cancelled' } },
+        { status: 'queued', currentStep },
+        { new: true }
+      );
+
+      // Returning instead of throwing ends the job without another attempt
+      if (!retrying) {
+        logger.info(`Build cancelled before its retry: ${buildId}`);
+        buildLog.append(`> Build failed: ${error.message}`);
+        buildLog.append('> Build cancelled by user');
+        await storeBuildLog(buildLog, build);
+
+        return { success: false, cancelled: true, buildId };
+      }
+
+      await publishBuildEvent(buildId, 'progress', {
+        status: 'queued',
+        progress: retrying.progress,
+        currentStep,
+        retrying: true,
+        error: error.message
+      });
+    } else {
+      if (build) {
+        await build.markFailed(error);
+      }
+
+      await publishBuildEvent(buildId, 'failed', {
+        status: 'failed',
+        error: error.message
+      });
     }
 
+    buildLog.append(`> Build failed: ${error.message}`);
+    await storeBuildLog(buildLog, build);
+
     throw error;
+  } finally {
+    if (unsubscribe) {
+      await unsubscribe();
+    }
   }
 });
 
@@ -269,6 +415,14 @@ buildQueue.on('stalled', (job) => {
 
 logger.info('Build worker started and listening for jobs...');
 
+// Start a Gradle daemon before the first job arrives so it doesn't pay the startup cost
+const executor = getExecutor();
+if (executor.warmUp && process.env.GRADLE_WARMUP !== 'false') {
+  templateRegistry.resolveTemplate()
+    .then((descriptor) => executor.warmUp(descriptor.dir))
+    .catch((error) => logger.warn(`Executor warm-up skipped: ${error.message}`));
+}
+
 // Keep the process alive
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, closing build worker gracefully...');
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+process.env.BUILD_EXECUTOR = 'simulated';
+
+// The controller's queue and event modules connect to Redis when loaded
+jest.mock('../../src/config/queue', () => ({ add: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/services/buildEventService', () => ({ publishBuildEvent: jest.fn() }));
+jest.mock('../../src/services/buildLogService', () => ({}));
+
+const mongoose = require('mongoose');
+const { createBuild, cancelBuild, getBuildLogs, getBuildEvents } = require('../../src/controllers/buildController');
+const Build = require('../../src/models/Build');
+const buildEventService = require('../../src/services/buildEventService');
+const buildLogService = require('../../src/services/buildLogService');
+const keystoreService = require('../../src/services/keystoreService');
+const templateRegistry = require('../../src/services/templateRegistry');
+const webManifestService = require('../../src/services/webManifestService');
+const buildCacheService = require('../../src/services/buildCacheService');
+const cloudinary = require('cloudinary').v2;
+const { AppError } = require('../../src/middleware/errorHandler');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2apk-uploads-'));
+process.env.UPLOAD_DIR = uploadDir;
+process.env.BUILD_OUTPUT_DIR = uploadDir;
+
+/**
+ * Write a fake multer upload for a field
+ */
+function upload(field, name) {
+  const filePath = path.join(uploadDir, `${field}-${name}`);
+  fs.writeFileSync(filePath, 'upload');
+  return [{ fieldname: field, path: filePath, filename: path.basename(filePath) }];
+}
+
+/**
+ * Run createBuild and resolve with the error it passes on
+ */
+function runCreateBuild(body, files) {
+  const req = {
+    body: { websiteUrl: 'https://example.com', appName: 'Example', packageName: 'com.example.app', ...body },
+    files,
+    user: {
+      _id: 'user-1',
+      email: 'user@example.com',
+      subscription: { plan: 'free' },
+      canBuild: () => true,
+      requiresDomainVerification: () => false
+    }
+  };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+  return new Promise((resolve) => createBuild(req, res, resolve));
+}
+
+const existing = (files) => Object.values(files).filter(([file]) => fs.existsSync(file.path));
+
+beforeEach(() => {
+  jest.spyOn(keystoreService, 'assertPackageOwnership').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('createBuild discards uploads on every early exit', () => {
+  test('an invalid package name', async () => {
+    const files = { appIcon: upload('appIcon', 'package'), splashImage: upload('splashImage', 'package') };
+
+    const error = await runCreateBuild({ packageName: 'Not A Package' }, files);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(400);
+    expect(existing(files)).toEqual([]);
+  });
+
+  test('a package name owned by another account', async () => {
+    keystoreService.assertPackageOwnership.mockRejectedValue(new AppError('This package name is registered to another account', 403));
+    const files = { appIcon: upload('appIcon', 'owner') };
+
+    const error = await runCreateBuild({}, files);
+
+    expect(error.statusCode).toBe(403);
+    expect(existing(files)).toEqual([]);
+  });
+
+  test('a template that cannot be resolved', async () => {
+    jest.spyOn(templateRegistry, 'resolveTemplate').mockRejectedValue(new AppError('Template "nope" not found', 400));
+    const files = { appIcon: upload('appIcon', 'template') };
+
+    const error = await runCreateBuild({ template: 'nope' }, files);
+
+    expect(error.message).toBe('Template "nope" not found');
+    expect(existing(files)).toEqual([]);
+  });
+
+  test('a feature the template does not support', async () => {
+    jest.spyOn(templateRegistry, 'resolveTemplate').mockResolvedValue({
+      name: 'minimal',
+      version: '1.0.0',
+      mode: 'webview',
+      features: [],
+      outputFormats: ['apk']
+    });
+    const files = { splashBranding: upload('splashBranding', 'features') };
+
+    const error = await runCreateBuild({ features: { camera: 'true' } }, files);
+
+    expect(error.message).toMatch(/does not support: camera/);
+    expect(existing(files)).toEqual([]);
+  });
+
+  test('a Cloudinary upload failing', async () => {
+    jest.spyOn(templateRegistry, 'resolveTemplate').mockResolvedValue({
+      name: 'webview',
+      version: '1.0.0',
+      mode: 'webview',
+      features: [],
+      outputFormats: ['apk']
+    });
+    jest.spyOn(buildCacheService, 'findReusableBuild').mockResolvedValue(null);
+    jest.spyOn(cloudinary.uploader, 'upload')
+      .mockResolvedValueOnce({ secure_url: 'https://res.cloudinary.com/icon.png' })
+      .mockRejectedValueOnce(new Error('Cloudinary is unavailable'));
+    const files = {
+      appIcon: upload('appIcon', 'cloudinary'),
+      splashImage: upload('splashImage', 'cloudinary'),
+      splashBranding: upload('splashBranding', 'cloudinary')
+    };
+
+    const error = await runCreateBuild({}, files);
+
+    expect(error.message).toBe('Failed to upload splash image. Please try again.');
+    expect(cloudinary.uploader.upload).toHaveBeenCalledTimes(2);
+    expect(existing(files)).toEqual([]);
+  });
+
+  test('metadata discovery failing', async () => {
+    jest.spyOn(webManifestService, 'discoverAppMetadata').mockRejectedValue(new AppError('Could not fetch the website', 502));
+    const files = { appIcon: upload('appIcon', 'metadata') };
+
+    const error = await runCreateBuild({ importMetadata: 'true' }, files);
+
+    expect(error.statusCode).toBe(502);
+    expect(existing(files)).toEqual([]);
+  });
+});
+
+describe('createBuild rejects WebView-only options for Trusted Web Activities', () => {
+  beforeEach(() => {
+    jest.spyOn(templateRegistry, 'resolveTemplate').mockResolvedValue({
+      name: 'twa',
+      version: '1.0.0',
+      mode: 'twa',
+      features: [],
+      outputFormats: ['apk']
+    });
+  });
+
+  test('link routing rules', async () => {
+    const files = { appIcon: upload('appIcon', 'twa-rules') };
+
+    const error = await runCreateBuild({ linkRouting: { rules: [{ host: 'example.org', action: 'browser' }] } }, files);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/does not support link routing/);
+    expect(existing(files)).toEqual([]);
+  });
+
+  test('the handling of other hosts', async () => {
+    const error = await runCreateBuild({ linkRouting: { otherHosts: 'browser' } }, {});
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/does not support link routing/);
+  });
+});
+
+describe('cancelBuild', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  /**
+   * Run cancelBuild for a build loaded with a status, resolving once it responds or fails
+   */
+  function runCancelBuild(status, cancelled) {
+    jest.spyOn(Build, 'findOne').mockResolvedValue(Build.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      buildId: 'build-1',
+      status,
+      createdAt: new Date()
+    }));
+    jest.spyOn(Build, 'findOneAndUpdate').mockResolvedValue(cancelled);
+
+    const req = {
+      params: { buildId: 'build-1' },
+      user: {
+        _id: userId,
+        email: 'user@example.com',
+        refundBuildCount: jest.fn(),
+        getRemainingBuilds: () => 1
+      }
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    return new Promise((resolve) => {
+      res.json.mockImplementation(() => resolve({ req, res }));
+      cancelBuild(req, res, (error) => resolve({ req, res, error }));
+    });
+  }
+
+  beforeEach(() => {
+    buildEventService.publishBuildEvent.mockClear();
+  });
+
+  test('cancels an active build only while it is still active', async () => {
+    const cancelled = Build.hydrate({ buildId: 'build-1', status: 'cancelled', currentStep: 'Build cancelled by user' });
+
+    const { req, res, error } = await runCancelBuild('building', cancelled);
+
+    expect(error).toBeUndefined();
+    expect(Build.findOneAndUpdate).toHaveBeenCalledWith(
+      { buildId: 'build-1', status: { $in: ['pending', 'queued', 'building'] } },
+      { status: 'cancelled', currentStep: 'Build cancelled by user' },
+      { new: true }
+    );
+    expect(buildEventService.publishBuildEvent).toHaveBeenCalledWith('build-1', 'cancelled', expect.objectContaining({ status: 'cancelled' }));
+    expect(req.user.refundBuildCount).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('neither notifies nor refunds when the build completed in the meantime', async () => {
+    const { req, error } = await runCancelBuild('building', null);
+
+    expect(error.statusCode).toBe(400);
+    expect(buildEventService.publishBuildEvent).not.toHaveBeenCalled();
+    expect(req.user.refundBuildCount).not.toHaveBeenCalled();
+  });
+});
+
+describe('getBuildEvents', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const build = () => Build.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, buildId: 'build-1', status: 'building' });
+
+  test('releases the subscription when the client leaves while subscribing', async () => {
+    const req = Object.assign(new EventEmitter(), { params: { buildId: 'build-1' }, user: { _id: userId } });
+    const res = {
+      setHeader: jest.fn(),
+      status: jest.fn(),
+      flushHeaders: jest.fn(),
+      write: jest.fn(),
+      end: jest.fn()
+    };
+    let unsubscribe;
+    const unsubscribed = new Promise((resolve) => {
+      unsubscribe = jest.fn(resolve);
+    });
+    jest.spyOn(Build, 'findOne').mockResolvedValue(build());
+    buildEventService.subscribeToBuild = jest.fn(async () => {
+      req.emit('close');
+      return unsubscribe;
+    });
+    const setInterval = jest.spyOn(global, 'setInterval');
+
+    getBuildEvents(req, res, (error) => {
+      throw error;
+    });
+    await unsubscribed;
+
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(res.end).toHaveBeenCalled();
+    expect(res.write).not.toHaveBeenCalled();
+    expect(setInterval).not.toHaveBeenCalled();
+  });
+});
+
+describe('getBuildLogs following a running build', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  /**
+   * Follow the log of a running build, resolving once the response ends
+   */
+  function followLog() {
+    const req = Object.assign(new EventEmitter(), {
+      params: { buildId: 'build-1' },
+      query: { follow: 'true' },
+      user: { _id: userId }
+    });
+    const res = {
+      setHeader: jest.fn(),
+      status: jest.fn(),
+      flushHeaders: jest.fn(),
+      write: jest.fn()
+    };
+    const next = jest.fn();
+    const ended = new Promise((resolve) => {
+      res.end = jest.fn(resolve);
+    });
+
+    jest.spyOn(Build, 'findOne')
+      .mockResolvedValueOnce(Build.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, buildId: 'build-1', status: 'building' }))
+      .mockReturnValue({ select: () => Promise.resolve({ status: 'building' }) });
+
+    getBuildLogs(req, res, next);
+    return { req, res, next, ended };
+  }
+
+  test('ends the stream with a message when reading the log fails', async () => {
+    buildLogService.readLiveLines = jest.fn()
+      .mockResolvedValueOnce({ lines: ['> Task :app:assembleRelease'], nextLine: 1 })
+      .mockRejectedValueOnce(new Error('Redis connection lost'));
+    process.env.BUILD_LOG_POLL_INTERVAL_MS = '1';
+
+    const { res, next, ended } = followLog();
+    await ended;
+
+    expect(res.write.mock.calls.map(([text]) => text)).toEqual([
+      '> Task :app:assembleRelease\n',
+      '> Log stream failed, reload to continue following the build\n'
+    ]);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('stops polling as soon as the client disconnects', async () => {
+    buildLogService.readLiveLines = jest.fn().mockResolvedValue({ lines: [], nextLine: 0 });
+    process.env.BUILD_LOG_POLL_INTERVAL_MS = '60000';
+
+    const { req, ended } = followLog();
+    await new Promise((resolve) => setImmediate(resolve));
+    req.emit('close');
+    await ended;
+
+    expect(buildLogService.readLiveLines).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Build = require('../../src/models/Build');
+
+/**
+ * A build as loaded from the database while its worker is running
+ */
+const runningBuild = () => Build.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  buildId: 'build-1',
+  status: 'building',
+  progress: 95,
+  appConfig: { websiteUrl: 'https://example.com', appName: 'Example', packageName: 'com.example.app' },
+  buildTime: { startedAt: new Date(Date.now() - 60000) },
+  output: {}
+});
+
+const ARTIFACTS = { apkPath: '/builds/build-1.apk', apkSize: 1024, downloadUrl: '/downloads/build-1.apk' };
+
+describe('Build#markCompleted', () => {
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.spyOn(Build, 'findOneAndUpdate');
+  });
+
+  afterEach(() => {
+    findOneAndUpdate.mockRestore();
+  });
+
+  test('completes the build only if it has not been cancelled', async () => {
+    findOneAndUpdate.mockResolvedValue({});
+    const build = runningBuild();
+
+    await expect(build.markCompleted(ARTIFACTS)).resolves.toBe(true);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ buildId: 'build-1', status: { $ne: 'cancelled' } });
+    expect(update.$set).toMatchObject({
+      status: 'completed',
+      progress: 100,
+      'output.apkPath': ARTIFACTS.apkPath,
+      'output.downloadUrl': ARTIFACTS.downloadUrl
+    });
+  });
+
+  test('reports a build cancelled in the meantime', async () => {
+    findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(runningBuild().markCompleted(ARTIFACTS)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Domain = require('../../src/models/Domain');
+
+describe('Domain.findVerifiedFor', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let findOne;
+
+  beforeEach(() => {
+    findOne = jest.spyOn(Domain, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    findOne.mockRestore();
+  });
+
+  test('looks up the hostname and every parent domain except the TLD', async () => {
+    await Domain.findVerifiedFor(userId, 'App.Shop.Example.com');
+
+    expect(findOne).toHaveBeenCalledWith({
+      user: userId,
+      hostname: { $in: ['app.shop.example.com', 'shop.example.com', 'example.com'] },
+      status: 'verified'
+    });
+  });
+
+  test('looks up only the domain itself for a registered domain', async () => {
+    await Domain.findVerifiedFor(userId, 'example.com');
+
+    expect(findOne.mock.calls[0][0].hostname).toEqual({ $in: ['example.com'] });
+  });
+
+  test('never matches a sibling or look-alike domain', async () => {
+    await Domain.findVerifiedFor(userId, 'example.com.evil.net');
+
+    const { $in: candidates } = findOne.mock.calls[0][0].hostname;
+    expect(candidates).not.toContain('example.com');
+    expect(candidates).not.toContain('net');
+  });
+});
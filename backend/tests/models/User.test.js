@@ -0,0 +1,41 @@
+const User = require('../../src/models/User');
+
+describe('User#requiresDomainVerification', () => {
+  const original = process.env.DOMAIN_VERIFICATION_REQUIRED_PLANS;
+
+  const userWithPlan = (plan, role = 'user') => new User({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'secret123',
+    role,
+    subscription: { plan }
+  });
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.DOMAIN_VERIFICATION_REQUIRED_PLANS;
+    } else {
+      process.env.DOMAIN_VERIFICATION_REQUIRED_PLANS = original;
+    }
+  });
+
+  test('is not required for any plan by default', () => {
+    delete process.env.DOMAIN_VERIFICATION_REQUIRED_PLANS;
+
+    expect(userWithPlan('free').requiresDomainVerification()).toBe(false);
+    expect(userWithPlan('pro').requiresDomainVerification()).toBe(false);
+  });
+
+  test('is required for the configured plans only', () => {
+    process.env.DOMAIN_VERIFICATION_REQUIRED_PLANS = 'free, enterprise';
+
+    expect(userWithPlan('free').requiresDomainVerification()).toBe(true);
+    expect(userWithPlan('pro').requiresDomainVerification()).toBe(false);
+  });
+
+  test('is never required for admins', () => {
+    process.env.DOMAIN_VERIFICATION_REQUIRED_PLANS = 'free,pro';
+
+    expect(userWithPlan('pro', 'admin').requiresDomainVerification()).toBe(false);
+  });
+});
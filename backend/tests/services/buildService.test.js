@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Paths and executor are read when the modules load
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2apk-build-'));
+process.env.TEMP_DIR = path.join(workDir, 'temp');
+process.env.BUILD_OUTPUT_DIR = path.join(workDir, 'builds');
+process.env.BUILD_EXECUTOR = 'simulated';
+process.env.SIMULATED_BUILD_DELAY_MS = '0';
+process.env.LOG_LEVEL = 'error';
+
+const { buildAPK } = require('../../src/services/buildService');
+
+const FEATURES = {
+  pullToRefresh: true,
+  progressBar: true,
+  errorPage: true,
+  fileUpload: false,
+  deepLinking: false,
+  swipeRefresh: true,
+  localStorage: true
+};
+
+let buildCount = 0;
+
+/**
+ * Run a build of a plain website app through the simulated executor
+ */
+function runBuild(options = {}) {
+  const buildId = `test-build-${++buildCount}`;
+  const progress = [];
+
+  const promise = buildAPK({
+    buildId,
+    userId: 'test-user',
+    appConfig: {
+      websiteUrl: 'https://example.com',
+      appName: 'Example',
+      packageName: 'com.example.app'
+    },
+    features: FEATURES,
+    isPremium: false,
+    template: { name: 'webview', version: '1.0.0' },
+    updateProgress: async (value) => {
+      progress.push(value);
+    },
+    ...options
+  });
+
+  return { buildId, progress, promise };
+}
+
+const tempEntries = () => fs.readdirSync(process.env.TEMP_DIR);
+
+afterEach(() => {
+  delete process.env.SIMULATED_BUILD_FAIL_AT;
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('buildAPK with the simulated executor', () => {
+  test('builds, signs and stores an APK', async () => {
+    const { buildId, progress, promise } = runBuild();
+    const result = await promise;
+
+    expect(result.apkPath).toBe(path.join(process.env.BUILD_OUTPUT_DIR, `${buildId}.apk`));
+    expect(result.downloadUrl).toBe(`/downloads/${buildId}.apk`);
+    expect(result.apkSize).toBe(fs.statSync(result.apkPath).size);
+    expect(result.aabPath).toBeNull();
+    expect(result.signing).toBeNull();
+    expect(Object.keys(result.timings)).toEqual(['prepare', 'compile', 'sign', 'store']);
+    expect(progress[progress.length - 1]).toBe(95);
+    expect(tempEntries()).toEqual([]);
+  });
+
+  test('produces both artifacts for outputFormat both', async () => {
+    const { buildId, promise } = runBuild({ outputFormat: 'both' });
+    const result = await promise;
+
+    expect(result.apkPath).toBe(path.join(process.env.BUILD_OUTPUT_DIR, `${buildId}.apk`));
+    expect(result.aabPath).toBe(path.join(process.env.BUILD_OUTPUT_DIR, `${buildId}.aab`));
+  });
+
+  test('fails at the build step with SIMULATED_BUILD_FAIL_AT=build', async () => {
+    process.env.SIMULATED_BUILD_FAIL_AT = 'build';
+    const { progress, promise } = runBuild();
+
+    await expect(promise).rejects.toMatchObject({ code: 'GRADLE_FAILED' });
+    expect(progress).not.toContain(90);
+    expect(tempEntries()).toEqual([]);
+  });
+
+  test('fails at the signing step with SIMULATED_BUILD_FAIL_AT=sign', async () => {
+    process.env.SIMULATED_BUILD_FAIL_AT = 'sign';
+    const { progress, promise } = runBuild();
+
+    await expect(promise).rejects.toMatchObject({ code: 'SIGNING_FAILED' });
+    expect(progress).toContain(90);
+    expect(progress).not.toContain(93);
+    expect(tempEntries()).toEqual([]);
+  });
+
+  test('stops when the signal is aborted during the build', async () => {
+    process.env.SIMULATED_BUILD_DELAY_MS = '600';
+    const controller = new AbortController();
+    const { progress, promise } = runBuild({
+      signal: controller.signal,
+      onLog: (line) => {
+        if (line.startsWith('> Task')) {
+          controller.abort();
+        }
+      }
+    });
+
+    try {
+      await expect(promise).rejects.toMatchObject({ code: 'BUILD_CANCELLED' });
+    } finally {
+      process.env.SIMULATED_BUILD_DELAY_MS = '0';
+    }
+    expect(progress).not.toContain(90);
+    expect(tempEntries()).toEqual([]);
+  });
+
+  test('does not start when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const { progress, promise } = runBuild({ signal: controller.signal });
+
+    await expect(promise).rejects.toMatchObject({ code: 'BUILD_CANCELLED' });
+    expect(progress).toEqual([]);
+  });
+});
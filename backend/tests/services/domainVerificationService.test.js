@@ -0,0 +1,110 @@
+process.env.LOG_LEVEL = 'error';
+
+const mongoose = require('mongoose');
+const Domain = require('../../src/models/Domain');
+const { createVerifier } = require('../../src/services/domainVerificationService');
+
+const domain = new Domain({ user: new mongoose.Types.ObjectId(), hostname: 'example.com' });
+const { instructions } = domain;
+
+/**
+ * Stand-ins for DNS and HTTP: TXT records by name and page contents by URL
+ */
+const stubResolver = (records = {}) => ({
+  resolveTxt: async (hostname) => {
+    if (!records[hostname]) {
+      throw new Error(`queryTxt ENODATA ${hostname}`);
+    }
+    return records[hostname];
+  }
+});
+
+const stubFetcher = (pages = {}) => ({
+  fetchText: async (url) => {
+    if (pages[url] === undefined) {
+      throw new Error(`Request failed with status code 404: ${url}`);
+    }
+    return pages[url];
+  }
+});
+
+describe('createVerifier', () => {
+  test('verifies with a matching DNS TXT record', async () => {
+    const verifier = createVerifier({
+      resolver: stubResolver({ 'example.com': ['v=spf1 -all', instructions.dns.value] }),
+      fetcher: stubFetcher()
+    });
+
+    await expect(verifier.verify(domain, 'dns')).resolves.toEqual({ verified: true, method: 'dns', error: null });
+  });
+
+  test('rejects a DNS record with another token', async () => {
+    const verifier = createVerifier({
+      resolver: stubResolver({ 'example.com': ['web2apk-verification=someone-else'] }),
+      fetcher: stubFetcher()
+    });
+
+    const result = await verifier.verify(domain, 'dns');
+    expect(result.verified).toBe(false);
+    expect(result.error).toMatch(/^dns: No TXT record/);
+  });
+
+  test('verifies with the well-known file', async () => {
+    const verifier = createVerifier({
+      resolver: stubResolver(),
+      fetcher: stubFetcher({ [instructions.file.url]: `# other tokens\r\n  ${instructions.file.content}  \n` })
+    });
+
+    await expect(verifier.verify(domain, 'file')).resolves.toEqual({ verified: true, method: 'file', error: null });
+  });
+
+  test('rejects a file that does not contain the token on its own line', async () => {
+    const verifier = createVerifier({
+      resolver: stubResolver(),
+      fetcher: stubFetcher({ [instructions.file.url]: `prefix ${instructions.file.content}` })
+    });
+
+    const result = await verifier.verify(domain, 'file');
+    expect(result.verified).toBe(false);
+    expect(result.error).toMatch(/does not contain/);
+  });
+
+  test('verifies with a meta tag in the page head', async () => {
+    const html = `<!DOCTYPE html><html><head><title>Example</title>${instructions.meta.tag}</head><body></body></html>`;
+    const verifier = createVerifier({
+      resolver: stubResolver(),
+      fetcher: stubFetcher({ [instructions.meta.url]: html })
+    });
+
+    await expect(verifier.verify(domain, 'meta')).resolves.toEqual({ verified: true, method: 'meta', error: null });
+  });
+
+  test('ignores a meta tag outside the page head', async () => {
+    const html = `<html><head><title>Example</title></head><body>${instructions.meta.tag}</body></html>`;
+    const verifier = createVerifier({
+      resolver: stubResolver(),
+      fetcher: stubFetcher({ [instructions.meta.url]: html })
+    });
+
+    const result = await verifier.verify(domain, 'meta');
+    expect(result.verified).toBe(false);
+    expect(result.error).toMatch(/No <meta name="web2apk-verification">/);
+  });
+
+  test('tries every method until one succeeds when none is given', async () => {
+    const verifier = createVerifier({
+      resolver: stubResolver(),
+      fetcher: stubFetcher({ [instructions.file.url]: instructions.file.content })
+    });
+
+    await expect(verifier.verify(domain)).resolves.toEqual({ verified: true, method: 'file', error: null });
+  });
+
+  test('reports every failure when no method succeeds', async () => {
+    const verifier = createVerifier({ resolver: stubResolver(), fetcher: stubFetcher() });
+
+    const result = await verifier.verify(domain);
+    expect(result).toMatchObject({ verified: false, method: null });
+    expect(result.error.split('; ').map((failure) => failure.split(':')[0])).toEqual(['dns', 'file', 'meta']);
+  });
+});
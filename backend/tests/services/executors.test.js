@@ -0,0 +1,32 @@
+const { getExecutor, assertExecutorConfigured } = require('../../src/services/executors');
+
+describe('build executors', () => {
+  const original = process.env.BUILD_EXECUTOR;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.BUILD_EXECUTOR;
+    } else {
+      process.env.BUILD_EXECUTOR = original;
+    }
+  });
+
+  test('default to Gradle', () => {
+    delete process.env.BUILD_EXECUTOR;
+
+    expect(getExecutor().name).toBe('gradle');
+    expect(assertExecutorConfigured()).toBe('gradle');
+  });
+
+  test('select the executor named by BUILD_EXECUTOR', () => {
+    process.env.BUILD_EXECUTOR = 'simulated';
+
+    expect(assertExecutorConfigured()).toBe('simulated');
+  });
+
+  test('reject an unknown executor at startup', () => {
+    process.env.BUILD_EXECUTOR = 'gradel';
+
+    expect(() => assertExecutorConfigured()).toThrow('Unknown BUILD_EXECUTOR "gradel". Use one of: gradle, simulated');
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { writeInjectionScripts } = require('../../src/services/injectionService');
+
+const ORIGINS = ['https://example.com'];
+
+let projectDir;
+
+/**
+ * Write the scripts for a set of injections and read them back
+ */
+async function generate(injections, origins = ORIGINS) {
+  const written = await writeInjectionScripts(projectDir, injections, origins);
+  const read = (file) => {
+    const scriptPath = path.join(projectDir, 'app/src/main/assets/injected', file);
+    return fs.existsSync(scriptPath) ? fs.readFileSync(scriptPath, 'utf8') : null;
+  };
+
+  return { written, documentStart: read('document_start.js'), pageFinished: read('page_finished.js') };
+}
+
+/**
+ * Run a generated script the way the WebView does on a page, recording what it did
+ */
+function runOnPage(script, href) {
+  const page = { styles: [], ran: [], errors: [] };
+  const document = {
+    head: { appendChild: (element) => page.styles.push(element.textContent) },
+    createElement: () => ({ textContent: '' })
+  };
+
+  vm.runInNewContext(script, {
+    location: { href, origin: new URL(href).origin },
+    document,
+    page,
+    console: { error: (message) => page.errors.push(message) }
+  });
+
+  return page;
+}
+
+beforeEach(() => {
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2apk-injections-'));
+});
+
+afterEach(() => {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+describe('injectionService.writeInjectionScripts', () => {
+  test('writes one script per point of the page load', async () => {
+    const { written, documentStart, pageFinished } = await generate([
+      { type: 'js', code: 'page.ran.push("start")', runAt: 'documentStart' },
+      { type: 'js', code: 'page.ran.push("finished")', runAt: 'pageFinished' }
+    ]);
+
+    expect(written).toBe(2);
+    expect(runOnPage(documentStart, 'https://example.com/').ran).toEqual(['start']);
+    expect(runOnPage(pageFinished, 'https://example.com/').ran).toEqual(['finished']);
+  });
+
+  test('writes nothing without injections for a point of the page load', async () => {
+    const { written, documentStart, pageFinished } = await generate([
+      { type: 'js', code: 'page.ran.push("finished")', runAt: 'pageFinished' }
+    ]);
+
+    expect(written).toBe(1);
+    expect(documentStart).toBeNull();
+    expect(pageFinished).not.toBeNull();
+  });
+
+  test('only runs on the trusted origins', async () => {
+    const { documentStart } = await generate([{ type: 'js', code: 'page.ran.push("js")', runAt: 'documentStart' }]);
+
+    expect(runOnPage(documentStart, 'https://example.com/page').ran).toEqual(['js']);
+    expect(runOnPage(documentStart, 'https://other.example/page').ran).toEqual([]);
+    expect(runOnPage(documentStart, 'http://example.com/page').ran).toEqual([]);
+  });
+
+  test('only runs snippets on pages matching their URL patterns', async () => {
+    const { pageFinished } = await generate([
+      { type: 'js', code: 'page.ran.push("shop")', runAt: 'pageFinished', urlPatterns: ['https://example.com/shop/*'] },
+      { type: 'js', code: 'page.ran.push("query")', runAt: 'pageFinished', urlPatterns: ['https://example.com/search?q=(a+b)'] },
+      { type: 'js', code: 'page.ran.push("everywhere")', runAt: 'pageFinished' }
+    ]);
+
+    expect(runOnPage(pageFinished, 'https://example.com/shop/cart').ran).toEqual(['shop', 'everywhere']);
+    expect(runOnPage(pageFinished, 'https://example.com/blog').ran).toEqual(['everywhere']);
+    // Regular expression characters in patterns match literally
+    expect(runOnPage(pageFinished, 'https://example.com/search?q=(a+b)').ran).toEqual(['query', 'everywhere']);
+    expect(runOnPage(pageFinished, 'https://example.com/searchXq=(aab)').ran).toEqual(['everywhere']);
+  });
+
+  test('injects CSS verbatim, including closing style tags, backticks and quotes', async () => {
+    const css = '</style><script>page.ran.push("escaped")</script>\nbody::after { content: "`${x}` \\\\ \'"; }';
+    const { documentStart } = await generate([{ type: 'css', code: css, runAt: 'documentStart' }]);
+
+    const page = runOnPage(documentStart, 'https://example.com/');
+
+    expect(page.styles).toEqual([css]);
+    expect(page.ran).toEqual([]);
+    expect(page.errors).toEqual([]);
+  });
+
+  test('keeps running the other snippets when one throws', async () => {
+    const { pageFinished } = await generate([
+      { type: 'js', code: 'throw new Error("broken")', runAt: 'pageFinished' },
+      { type: 'js', code: 'page.ran.push("after")', runAt: 'pageFinished' }
+    ]);
+
+    const page = runOnPage(pageFinished, 'https://example.com/');
+
+    expect(page.ran).toEqual(['after']);
+    expect(page.errors).toEqual(['Injected js failed: Error: broken']);
+  });
+});
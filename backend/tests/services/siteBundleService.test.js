@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read when the service is loaded
+process.env.SITE_BUNDLE_MAX_EXTRACTED_SIZE = '4096';
+
+const siteBundleService = require('../../src/services/siteBundleService');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2apk-site-bundle-'));
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip of stored entries byte by byte, so entry names and attributes
+ * reach the service exactly as given - zip libraries sanitise them
+ * @param {Array<{name: string, data?: string, mode?: number}>} entries
+ * @returns {Buffer}
+ */
+function zip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data = '', mode = 0o100644 } of entries) {
+    const nameBytes = Buffer.from(name);
+    const content = Buffer.from(data);
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x21, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    // Made by Unix, so the external attributes hold the file mode
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBytes, content);
+    centralParts.push(central, nameBytes);
+    offset += local.length + nameBytes.length + content.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Write a zip to disk for inspectBundle
+ */
+function zipFile(name, entries) {
+  const zipPath = path.join(tempDir, `${name}.zip`);
+  fs.writeFileSync(zipPath, zip(entries));
+  return zipPath;
+}
+
+const INDEX = { name: 'index.html', data: '<h1>Hello</h1>' };
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('siteBundleService.inspectBundle', () => {
+  test('accepts a bundle with an index.html at its root', async () => {
+    const zipPath = zipFile('valid', [
+      INDEX,
+      { name: 'css/' },
+      { name: 'css/app.css', data: 'h1 { color: red; }' },
+      { name: '__MACOSX/._index.html', data: 'clutter' }
+    ]);
+
+    await expect(siteBundleService.inspectBundle(zipPath)).resolves.toEqual({
+      files: 2,
+      totalSize: 32,
+      entryPage: 'index.html'
+    });
+  });
+
+  test('rejects a bundle without an index.html at its root', async () => {
+    const zipPath = zipFile('nested', [{ name: 'site/index.html', data: 'x' }]);
+
+    await expect(siteBundleService.inspectBundle(zipPath)).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Site bundle must have an index.html at its root (found site/index.html - zip the folder's contents instead)"
+    });
+  });
+
+  test('rejects an entry page that is not in the bundle', async () => {
+    const zipPath = zipFile('entry', [INDEX]);
+
+    await expect(siteBundleService.inspectBundle(zipPath, 'app.html')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Entry page app.html is not in the site bundle'
+    });
+  });
+
+  test('rejects a file that is not a zip', async () => {
+    const notZip = path.join(tempDir, 'not-a.zip');
+    fs.writeFileSync(notZip, 'plain text');
+
+    await expect(siteBundleService.inspectBundle(notZip)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/^Site bundle is not a valid zip file/)
+    });
+  });
+});
+
+describe('siteBundleService.extractBundle', () => {
+  let projectDir;
+  const siteDir = () => path.join(projectDir, 'app/src/main/assets/site');
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(tempDir, 'project-'));
+  });
+
+  test('extracts the files into the project assets', async () => {
+    const count = await siteBundleService.extractBundle(
+      zip([INDEX, { name: 'js/app.js', data: 'console.log(1)' }]),
+      projectDir
+    );
+
+    expect(count).toBe(2);
+    expect(fs.readFileSync(path.join(siteDir(), 'index.html'), 'utf8')).toBe(INDEX.data);
+    expect(fs.readFileSync(path.join(siteDir(), 'js/app.js'), 'utf8')).toBe('console.log(1)');
+  });
+
+  test.each([
+    ['a parent directory path', '../evil.html'],
+    ['a nested parent directory path', 'css/../../../evil.html'],
+    ['an absolute path', '/etc/evil.html'],
+    ['a drive letter path', 'C:/evil.html'],
+    ['a backslash path', '..\\evil.html']
+  ])('rejects %s and writes nothing', async (_, name) => {
+    const bundle = zip([INDEX, { name, data: 'evil' }]);
+
+    await expect(siteBundleService.extractBundle(bundle, projectDir)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/(unsafe path|invalid relative path|absolute path): .*evil\.html$/)
+    });
+    expect(fs.existsSync(siteDir())).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, 'app/src/main/assets/evil.html'))).toBe(false);
+  });
+
+  test('rejects symbolic links', async () => {
+    const bundle = zip([INDEX, { name: 'passwd', data: '/etc/passwd', mode: 0o120777 }]);
+
+    await expect(siteBundleService.extractBundle(bundle, projectDir)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Site bundle contains a symbolic link: passwd'
+    });
+    expect(fs.existsSync(siteDir())).toBe(false);
+  });
+
+  test('rejects bundles larger than the extracted size limit', async () => {
+    const bundle = zip([INDEX, { name: 'a.txt', data: 'a'.repeat(2048) }, { name: 'b.txt', data: 'b'.repeat(2048) }]);
+
+    await expect(siteBundleService.extractBundle(bundle, projectDir)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/when extracted$/)
+    });
+    expect(fs.existsSync(siteDir())).toBe(false);
+  });
+
+  test('rejects bundles with more than 5000 entries', async () => {
+    const entries = Array.from({ length: 5001 }, (_, index) => ({ name: `f${index}.txt` }));
+
+    await expect(siteBundleService.extractBundle(zip(entries), projectDir)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Site bundle has more than 5000 files'
+    });
+    expect(fs.existsSync(siteDir())).toBe(false);
+  });
+});
@@ -0,0 +1,20 @@
+const { decodeEntities, parseTags } = require('../../src/utils/html');
+
+describe('decodeEntities', () => {
+  test('decodes named and numeric entities', () => {
+    expect(decodeEntities('Tom &amp; Jerry&#39;s &quot;Shop&quot; &#169; &#x1F600;')).toBe('Tom & Jerry\'s "Shop" © 😀');
+  });
+
+  test('leaves out of range numeric entities as they are', () => {
+    expect(decodeEntities('a &#99999999; b')).toBe('a &#99999999; b');
+    expect(decodeEntities('&#x110000;')).toBe('&#x110000;');
+    expect(decodeEntities('&#1114111;')).toBe(String.fromCodePoint(0x10FFFF));
+  });
+});
+
+describe('parseTags', () => {
+  test('keeps attributes with out of range entities', () => {
+    expect(parseTags('<link rel="icon" href="/icon&#99999999;.png">', 'link'))
+      .toEqual([{ rel: 'icon', href: '/icon&#99999999;.png' }]);
+  });
+});